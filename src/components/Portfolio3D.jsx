@@ -5,12 +5,12 @@ const Portfolio3D = () => {
     const containerRef = useRef(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
-    let scene3D = null;
+    const sceneRef = useRef(null);
 
     useEffect(() => {
         try {
-            if (containerRef.current && !scene3D) {
-                scene3D = new Scene3D(containerRef.current);
+            if (containerRef.current && !sceneRef.current) {
+                sceneRef.current = new Scene3D(containerRef.current);
                 setIsLoading(false);
             }
         } catch (err) {
@@ -19,11 +19,10 @@ const Portfolio3D = () => {
         }
 
         return () => {
-            if (scene3D) {
-                // Cleanup
-                window.removeEventListener('resize', scene3D.onWindowResize);
-                containerRef.current?.removeChild(scene3D.renderer.domElement);
-                scene3D = null;
+            if (sceneRef.current) {
+                // Cleanup - stops the render loop, removes listeners and DOM nodes, frees GPU memory
+                sceneRef.current.dispose();
+                sceneRef.current = null;
             }
         };
     }, []);
@@ -0,0 +1,37 @@
+// @vitest-environment jsdom
+// The debug overlay log shows messages as text, whatever they contain
+import { describe, expect, it, vi } from 'vitest';
+import Scene3D from './Scene3D';
+
+function createLogHost() {
+    const scene = Object.create(Scene3D.prototype);
+    scene.debugLog = document.createElement('div');
+    return scene;
+}
+
+describe('logDebug', () => {
+    it('never parses messages as HTML', () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const scene = createLogHost();
+        scene.logDebug('Opening topic: <img src=x onerror="alert(1)">');
+
+        expect(scene.debugLog.querySelector('img')).toBeNull();
+        expect(scene.debugLog.textContent).toBe('Opening topic: <img src=x onerror="alert(1)">');
+        vi.restoreAllMocks();
+    });
+
+    it('keeps the last five messages', () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const scene = createLogHost();
+        for (let i = 1; i <= 8; i++) {
+            scene.logDebug(`Message ${i}`);
+        }
+
+        const lines = Array.from(scene.debugLog.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent);
+        expect(lines).toEqual(['Message 4', 'Message 5', 'Message 6', 'Message 7', 'Message 8']);
+        expect(scene.debugLog.querySelectorAll('br')).toHaveLength(5);
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,179 @@
+// @vitest-environment jsdom
+// Accessibility of the topic dialog: ARIA roles, focus handling, the focus trap and closing
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import Scene3D from './Scene3D';
+
+const TOPIC = {
+    id: 'shaders',
+    title: 'Shaders',
+    markdown: 'shaders.md',
+    markdownUrl: '/assets/topics/shaders.md'
+};
+
+const OTHER_TOPIC = {
+    id: 'physics',
+    title: 'Physics',
+    markdown: 'physics.md',
+    markdownUrl: '/assets/topics/physics.md'
+};
+
+const MARKDOWN = '# Shaders\n\nSee [the docs](https://threejs.org/docs/).\n\n```js\nconst answer = 42;\n```\n';
+
+// Only the dialog's state from the constructor - the WebGL side can't run in jsdom
+function createDialogHost() {
+    const scene = Object.create(Scene3D.prototype);
+    Object.assign(scene, {
+        topics: [TOPIC, OTHER_TOPIC],
+        topicModal: null,
+        topicReturnFocus: null,
+        openTopicId: null,
+        flyToFlagOnDeepLink: false,
+        isFollowingFlamingo: false
+    });
+    scene.onPopState = scene.onPopState.bind(scene);
+    window.addEventListener('popstate', scene.onPopState);
+    return scene;
+}
+
+async function waitUntil(condition) {
+    for (let i = 0; i < 50; i++) {
+        if (condition()) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the dialog');
+}
+
+function pressKey(target, key, shiftKey = false) {
+    const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('topic dialog', () => {
+    let scene;
+    let trigger;
+
+    beforeEach(async () => {
+        history.replaceState(null, '', '/');
+        vi.stubGlobal('fetch', vi.fn(() => Promise.resolve(new Response(MARKDOWN))));
+        // jsdom has no layout; treat every attached element as visible for the focus trap
+        vi.spyOn(HTMLElement.prototype, 'getClientRects').mockImplementation(function () {
+            return this.isConnected ? [{}] : [];
+        });
+
+        trigger = document.createElement('button');
+        trigger.textContent = 'Shaders flag';
+        document.body.appendChild(trigger);
+        trigger.focus();
+
+        scene = createDialogHost();
+        scene.openTopicMarkdown(TOPIC);
+        await waitUntil(() => scene.topicModal && scene.topicModal.querySelector('.topic-content'));
+    });
+
+    afterEach(() => {
+        scene.closeTopicModal({ restoreFocus: false });
+        window.removeEventListener('popstate', scene.onPopState);
+        document.body.innerHTML = '';
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    const getDialog = () => scene.topicModal.querySelector('[role="dialog"]');
+
+    it('is a labelled modal dialog', () => {
+        const dialog = getDialog();
+        expect(dialog.getAttribute('aria-modal')).toBe('true');
+        expect(dialog.getAttribute('aria-labelledby')).toBe('topic-dialog-title');
+        expect(document.getElementById('topic-dialog-title').textContent).toBe('Shaders');
+        expect(dialog.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('moves focus into the dialog when it opens', () => {
+        expect(getDialog().contains(document.activeElement)).toBe(true);
+    });
+
+    it('wraps Tab from the last focusable element to the first', () => {
+        const focusable = getDialog().querySelectorAll('a[href], button');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        expect(first.getAttribute('aria-label')).toBe('Close Shaders');
+        expect(last.className).toBe('topic-copy-button');
+
+        last.focus();
+        expect(pressKey(last, 'Tab').defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(first);
+    });
+
+    it('wraps Shift+Tab from the first focusable element, or the dialog itself, to the last', () => {
+        const focusable = getDialog().querySelectorAll('a[href], button');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        first.focus();
+        expect(pressKey(first, 'Tab', true).defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(last);
+
+        getDialog().focus();
+        pressKey(getDialog(), 'Tab', true);
+        expect(document.activeElement).toBe(last);
+    });
+
+    it('leaves Tab between elements inside the dialog to the browser', () => {
+        const link = getDialog().querySelector('.topic-content a');
+        link.focus();
+        expect(pressKey(link, 'Tab').defaultPrevented).toBe(false);
+        expect(pressKey(link, 'Tab', true).defaultPrevented).toBe(false);
+    });
+
+    it('closes on Escape and returns focus to the trigger', async () => {
+        pressKey(document.activeElement, 'Escape');
+        await waitUntil(() => scene.topicModal === null);
+
+        expect(document.querySelector('[role="dialog"]')).toBeNull();
+        expect(document.activeElement).toBe(trigger);
+        expect(window.location.hash).toBe('');
+    });
+
+    it('closes on a backdrop click and returns focus to the trigger', async () => {
+        const backdrop = scene.topicModal;
+        backdrop.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        await waitUntil(() => scene.topicModal === null);
+
+        expect(backdrop.isConnected).toBe(false);
+        expect(document.activeElement).toBe(trigger);
+    });
+
+    it('closes, rather than going back to the first topic, after switching topics', async () => {
+        scene.openTopicMarkdown(OTHER_TOPIC);
+        expect(window.location.hash).toBe('#/topic/physics');
+
+        pressKey(document.activeElement, 'Escape');
+        await waitUntil(() => scene.topicModal === null);
+        await new Promise(resolve => setTimeout(resolve, 50)); // A popstate to the first topic would reopen it
+
+        expect(scene.topicModal).toBeNull();
+        expect(window.location.hash).toBe('');
+        expect(document.activeElement).toBe(trigger);
+    });
+
+    it('scrolls heading links to their prefixed heading', async () => {
+        fetch.mockResolvedValueOnce(new Response('# Physics\n\n## Forces\n\nBack to [the top](#physics).\n'));
+        scene.openTopicMarkdown(OTHER_TOPIC);
+        await waitUntil(() => scene.topicModal.querySelector('.topic-content'));
+
+        const heading = scene.topicModal.querySelector('h1');
+        expect(heading.id).toBe('user-content-physics');
+        heading.scrollIntoView = vi.fn(); // jsdom has no layout to scroll, nor CSS.escape
+        vi.stubGlobal('CSS', { escape: value => value.replace(/["\\]/g, '\\$&') });
+        scene.topicModal.querySelector('a[href="#physics"]').click();
+        expect(heading.scrollIntoView).toHaveBeenCalled();
+        expect(window.location.hash).toBe('#/topic/physics');
+    });
+
+    it('stays open when clicking inside the dialog', async () => {
+        getDialog().dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(scene.topicModal).not.toBeNull();
+    });
+});
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+// The keyboard/screen-reader flag list: nearest flags in view, told apart, and stable under focus
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import Scene3D from './Scene3D';
+
+const TOPICS = ['Shaders', 'Physics', 'Audio'].map(title => ({ id: title.toLowerCase(), title }));
+
+function createFlag(x, z, topic) {
+    const flag = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.2), new THREE.MeshStandardMaterial());
+    flag.position.set(x, 0.5, z);
+    flag.userData.topic = topic;
+    return flag;
+}
+
+// Only the flag list's state from the constructor - the WebGL side can't run in jsdom
+function createNavigationHost(flags) {
+    const scene = Object.create(Scene3D.prototype);
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 200);
+    camera.position.set(0, 6, 15);
+    camera.lookAt(0, 0, 0);
+
+    Object.assign(scene, {
+        camera,
+        clickableFlags: flags,
+        flagNavigationItems: new Map(),
+        flagNavigationDirty: true,
+        flagNavigationLimit: 10,
+        flagNavigationKey: '',
+        lastFlagNavigationUpdate: 0,
+        topicModal: null,
+        topicReturnFocus: null,
+        isFollowingFlamingo: true // Keeps focus from starting camera tweens
+    });
+    scene.createFlagNavigation();
+    return scene;
+}
+
+const getButtons = scene => Array.from(scene.flagNavigationList.querySelectorAll('button'));
+
+describe('flag navigation list', () => {
+    let flags;
+    let scene;
+
+    beforeEach(() => {
+        // A row of flags receding from the camera, plus some behind it
+        flags = [];
+        for (let i = 0; i < 16; i++) {
+            flags.push(createFlag((i % 3 - 1) * 4, 5 - i * 3, TOPICS[i % TOPICS.length]));
+        }
+        flags.push(createFlag(0, 30, TOPICS[0]), createFlag(2, 40, TOPICS[1]));
+        // Shuffled, as streaming would add them
+        flags.sort((a, b) => a.uuid.localeCompare(b.uuid));
+
+        scene = createNavigationHost(flags);
+        scene.updateFlagNavigation(0);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('lists only the nearest flags in view, nearest first', () => {
+        const shown = Array.from(scene.flagNavigationItems.keys())
+            .map(uuid => flags.find(flag => flag.uuid === uuid));
+        expect(shown).toHaveLength(10);
+        expect(shown.some(flag => flag.position.z > 15)).toBe(false);
+
+        const distances = shown.map(flag => flag.position.distanceTo(scene.camera.position));
+        expect(distances).toEqual([...distances].sort((a, b) => a - b));
+    });
+
+    it('gives flags with the same topic distinct labels', () => {
+        const labels = getButtons(scene).map(button => button.getAttribute('aria-label'));
+        expect(new Set(labels).size).toBe(labels.length);
+        expect(labels[0]).toMatch(/^\w+ flag, \d+ metres (ahead|to the left|to the right) - open topic$/);
+    });
+
+    it('numbers flags that would otherwise share a label', () => {
+        const twins = [createFlag(-0.05, 0, TOPICS[0]), createFlag(0.05, 0, TOPICS[0])];
+        const twinScene = createNavigationHost(twins);
+        twinScene.updateFlagNavigation(0);
+
+        const labels = getButtons(twinScene).map(button => button.getAttribute('aria-label'));
+        expect(labels).toEqual([
+            'Shaders flag, 16 metres ahead - open topic',
+            'Shaders flag, 16 metres ahead (2) - open topic'
+        ]);
+    });
+
+    it('is not rebuilt while one of its buttons has focus', () => {
+        const buttons = getButtons(scene);
+        buttons[3].focus();
+
+        scene.camera.position.set(0, 6, -20); // As if the focus fly-to moved the camera
+        scene.flagNavigationDirty = true;
+        scene.updateFlagNavigation(10000);
+        expect(getButtons(scene)).toEqual(buttons);
+        expect(document.activeElement).toBe(buttons[3]);
+
+        // Leaving the list lets it catch up
+        buttons[3].blur();
+        scene.flagNavigation.dispatchEvent(new FocusEvent('focusout', { relatedTarget: null }));
+        scene.updateFlagNavigation(10000);
+        expect(getButtons(scene)).not.toEqual(buttons);
+    });
+
+    it('is not rebuilt while a topic opened from it is showing', () => {
+        const buttons = getButtons(scene);
+        scene.topicModal = document.createElement('div');
+        scene.topicReturnFocus = buttons[0];
+
+        scene.camera.position.set(0, 6, -20);
+        scene.updateFlagNavigation(10000);
+        expect(getButtons(scene)).toEqual(buttons);
+    });
+});
@@ -2,30 +2,175 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { gsap } from 'gsap';
+import { createRandom, hashSeed, resolveWorldSeed } from '../utils/random';
+import { DEFAULT_TOPIC_MANIFEST, loadTopicManifest } from '../utils/topics';
+import { extractSummary, renderMarkdown } from '../utils/markdown';
+import { TOPIC_ID_PREFIX, sanitizeTopicHtml } from '../utils/sanitize';
+import { getTopicRoute, parseTopicRoute } from '../utils/topicRoute';
+import {
+    FrameTimeMonitor,
+    QUALITY_PRESETS,
+    QUALITY_TIERS,
+    loadQualitySetting,
+    saveQualitySetting,
+    tierForFrameTime
+} from '../utils/quality';
+import {
+    InstanceBatcher,
+    createInstanceLibrary,
+    disposeInstanceLibrary,
+    getLibraryResources
+} from '../utils/instancing';
+import { DEFAULT_WIND, applyWindToMaterial, createWindUniforms, setWindUniforms } from '../utils/wind';
+import { createWaterMaterial, createWaterNormalTexture } from '../utils/water';
+import { CpuFoamSimulation, FoamSimulation, supportsGpuFoam } from '../utils/foam';
+import {
+    TIME_MODES,
+    TimeOfDayClock,
+    createSkyState,
+    formatHours,
+    getSunDirection,
+    sampleSkyState
+} from '../utils/timeOfDay';
+import { SKY_THEMES, createSkyMaterial, resolveSkyTheme } from '../utils/sky';
+import { OVERCAST_SKY_COLOR, WEATHER_NAMES, WeatherBlender, resolveWeather } from '../utils/weather';
+import { RainEffect } from '../utils/rain';
+import { TerrainHeightField, WATER_LEVEL } from '../utils/terrain';
+import { FlightController, ObstacleMap } from '../utils/flight';
+import { FLAMINGO_STATES, FlamingoBehaviour, createFlamingoClips } from '../utils/flamingoBehaviour';
+import {
+    SEASONS,
+    SEASON_PALETTES,
+    getActiveSeason,
+    resolveSeasonSetting,
+    saveSeasonSetting
+} from '../utils/seasons';
 
 class Scene3D {
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
+        
+        // World seed - the same seed always builds the same scene
+        this.seed = resolveWorldSeed(options.seed);
+        this.random = createRandom(hashSeed(this.seed, 'world'));
+        this.flightRandom = createRandom(hashSeed(this.seed, 'flight'));
+
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.controls = null;
+        this.maxTargetRiverOffset = 30; // How far panning may take the orbit target from the river
+        this.targetRiverOffset = 0; // Current distance of the orbit target from the river
         this.model = null;
         this.flamingo = null;
         this.particles = null;
-        this.river = null;
+        this.riverWidth = 3;
+        this.riverSegmentLength = 20; // River, banks and details are streamed in pieces this long
+        this.riverSegments = new Map(); // Generated river segments keyed by index along z
+        this.lastRiverSegment = null; // Camera segment at the last river streaming update
+        this.waterMaterial = null;
         this.waterFoam = null;
+        this.foamRange = 100; // Foam covers this far ahead of and behind the camera
+        this.waterNormalMap = null; // Shared by shader water materials
         this.clock = new THREE.Clock();
         this.flamingoMixer = null;
+        this.flamingoFlight = null; // Steering controller, see startFlamingoFlight
+        this.flamingoBehaviour = null; // Fly/glide/land/wade/feed/takeoff state machine
+        this.flightDirection = 1; // Along z; turns around at the ends of the flight area
+        this.obstacles = new ObstacleMap(); // Trees and flag poles the flamingo flies around
+        this.animationFrameId = null;
+        this.isDisposed = false;
+        this.topicModal = null;
+        this.topicReturnFocus = null;
+        
+        // Bind handlers once so the same references can be removed in dispose()
+        this.animate = this.animate.bind(this);
+        this.onWindowResize = this.onWindowResize.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onControlsPointerDown = this.onControlsPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        this.onPopState = this.onPopState.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        
+        // Rendering quality - 'auto' benchmarks the device, then keeps adjusting while running
+        const requestedQuality = options.quality || loadQualitySetting();
+        this.qualitySetting = requestedQuality === 'auto' || QUALITY_TIERS.includes(requestedQuality) ?
+            requestedQuality : 'auto';
+        this.qualityTier = this.qualitySetting === 'auto' ? 'high' : this.qualitySetting;
+        this.quality = QUALITY_PRESETS[this.qualityTier];
+        this.maxAutoQualityTier = 'ultra'; // Lowered to the benchmark result once it has run
+        this.frameTimeMonitor = new FrameTimeMonitor(120);
+        this.qualityWarmupFrames = 30; // Skip shader compilation and first-load frames
+        this.qualityBenchmarkDone = false;
+        this.lastQualityChange = 0;
         
         // Track terrain and grass for updates
-        this.terrainGrid = [];
+        this.terrainGrid = new Map(); // Generated terrain cells keyed by "x,z"
         this.grassInstances = [];
-        this.activeTerrain = new Set();
-        this.visibleRadius = 80; // Radius of visible terrain
+        this.activeTerrain = new Set(); // Keys of cells currently inside visibleRadius
+        this.visibleRadius = this.quality.visibleRadius; // Radius of visible terrain
         this.gridSize = 10; // Size of each terrain grid cell
+        this.maxCellsPerFrame = 4; // Limit cell generation per frame to avoid hitches
+        this.pendingTerrainCells = []; // Cells waiting to be generated, nearest first
+        this.staleTerrainCells = []; // Cells to regenerate at the current quality, nearest first
+        this.terrainSegments = this.quality.terrainSegments; // Chunk resolution, only changed by a rebuild
+        this.lastStreamingCell = null; // Camera cell at the last streaming update
+        
+        // Heightfield shared by the terrain chunks and everything placed on the ground (see getHeightAt)
+        this.heightField = new TerrainHeightField({
+            seed: hashSeed(this.seed, 'terrain'),
+            riverCurve: z => this.getRiverCurveOffset(z),
+            riverHalfWidth: this.riverWidth / 2
+        });
+        
+        // Season palette (see SEASON_PALETTES) the terrain, vegetation, water and sky are coloured with.
+        // 'auto' follows the calendar
+        this.seasonSetting = resolveSeasonSetting(options.season);
+        this.season = getActiveSeason(this.seasonSetting);
+        this.palette = SEASON_PALETTES[this.season];
+        this.seasonSkyColors = {
+            top: new THREE.Color(this.palette.skyTop),
+            horizon: new THREE.Color(this.palette.skyHorizon)
+        };
+        this.waterFallbackHSL = new THREE.Color(this.palette.waterFallback).getHSL({ h: 0, s: 0, l: 0 });
+        
+        // Shared geometries/materials for instanced vegetation and props
+        this.instanceLibrary = createInstanceLibrary();
+        this.terrainMaterial = new THREE.MeshStandardMaterial({
+            vertexColors: true, // Chunks are coloured per vertex from the season palette
+            roughness: 0.9,
+            metalness: 0.05
+        });
         
-        // Debug element for loading status
+        // Grass wind, animated entirely in the grass vertex shader (see setWind)
+        this.wind = { ...DEFAULT_WIND, direction: { ...DEFAULT_WIND.direction } };
+        this.windUniforms = createWindUniforms(this.wind);
+        if (options.wind) {
+            this.setWind(options.wind);
+        }
+        
+        // Time of day drives the sun, moon, sky, fog and water (see updateTimeOfDay)
+        this.timeOfDay = new TimeOfDayClock(options.timeOfDay);
+        this.skyState = createSkyState();
+        this.sunDirection = new THREE.Vector3();
+        this.moonDirection = new THREE.Vector3();
+        this.scratchColor = new THREE.Color();
+        this.lastTimeLabel = null;
+        
+        // Sky theme (see SKY_THEMES) tints the palette and sets up the clouds
+        this.setSkyTheme(options.skyTheme || 'default');
+        if (options.clouds !== undefined) {
+            this.cloudsEnabled = options.clouds;
+        }
+        this.cloudOffset = new THREE.Vector2();
+        
+        // Weather (clear/overcast/rain/fog) from the option or ?weather=, blended in updateWeather
+        this.weather = new WeatherBlender(resolveWeather(options.weather));
+        this.rain = null;
+        
+        // Debug element for loading status and render stats
         this.debugElement = document.createElement('div');
         this.debugElement.style.position = 'absolute';
         this.debugElement.style.bottom = '10px';
@@ -35,25 +180,58 @@ class Scene3D {
         this.debugElement.style.padding = '5px';
         this.debugElement.style.fontFamily = 'monospace';
         this.debugElement.style.zIndex = '1000';
+        this.debugStats = document.createElement('div');
+        this.debugLog = document.createElement('div');
+        this.debugTimeline = document.createElement('div'); // Flamingo behaviour states
+        this.debugElement.appendChild(this.debugStats);
+        this.debugElement.appendChild(this.debugTimeline);
+        this.debugElement.appendChild(this.debugLog);
+        this.lastStatsUpdate = 0;
         document.body.appendChild(this.debugElement);
         
         // Add CV download button
         this.createCVDownloadButton();
         
-        // Educational topics for terrain flags
-        this.topics = [
-            { id: 'threejs', name: 'Three.js', mdFile: 'threejs.md' },
-            { id: 'webgl', name: 'WebGL', mdFile: 'webgl.md' },
-            { id: 'javascript', name: 'JavaScript', mdFile: 'javascript.md' },
-        ];
+        // Educational topics for terrain flags, loaded from the topic manifest
+        this.topics = [];
+        this.topicManifestUrl = options.topicManifest || DEFAULT_TOPIC_MANIFEST;
+        this.pendingFlagSites = []; // Flags placed before the manifest finished loading
+        this.flyToFlagOnDeepLink = options.flyToFlagOnDeepLink !== false;
+        this.openTopicId = null;
         
         // Store clickable objects
         this.clickableFlags = [];
         
+        // Hidden, focusable list mirroring the flags for keyboard and screen-reader users
+        this.flagNavigation = null;
+        this.flagNavigationItems = new Map(); // flag uuid -> list item
+        this.flagNavigationDirty = false;
+        this.flagNavigationLimit = 10; // Nearest flags in view that get a list entry
+        this.flagNavigationKey = ''; // Flags, distances and sides the list was built for
+        this.lastFlagNavigationUpdate = 0;
+        
+        // Invisible, larger boxes around each flag so small flags are easy to tap
+        this.flagHitAreas = [];
+        this.flagHitGeometry = new THREE.BoxGeometry(0.6, 0.8, 0.4);
+        this.flagHitMaterial = new THREE.MeshBasicMaterial();
+        
         // Raycaster for handling clicks
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         
+        // Pointers currently down on the canvas, to tell taps apart from drags and pinches
+        this.activePointers = new Map();
+        this.isMultiPointerGesture = false;
+        this.tapMaxDuration = 500; // ms
+        
+        // Hover state - the pointer is raycast against the flags at most once per frame
+        this.hoverPointer = new THREE.Vector2();
+        this.hoverClient = { x: 0, y: 0 };
+        this.isPointerOverCanvas = false;
+        this.hoveredFlag = null;
+        this.flagTooltip = null;
+        this.topicSummaries = new Map(); // topic id -> promise of the summary text
+        
         this.init();
     }
 
@@ -94,20 +272,22 @@ class Scene3D {
         
         // Add button to the document
         document.body.appendChild(button);
+        this.cvButton = button;
     }
 
     init() {
         try {
             this.logDebug('Initializing scene');
+            this.logDebug(`World seed: ${this.seed}`);
             
             // Setup renderer
             this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-            this.renderer.shadowMap.enabled = true;
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.maxPixelRatio));
+            this.renderer.shadowMap.enabled = this.quality.shadows;
             this.container.appendChild(this.renderer.domElement);
 
-            // Add fog for infinite terrain effect
-            this.scene.fog = new THREE.FogExp2(0x87ceeb, 0.01);
+            // Add fog for infinite terrain effect; its colour follows the sky (see updateTimeOfDay)
+            this.scene.fog = new THREE.FogExp2(0x87ceeb, this.quality.fogDensity);
             this.scene.background = new THREE.Color(0x87ceeb); // Sky blue
             
             // Setup camera
@@ -121,14 +301,17 @@ class Scene3D {
             // Add lights
             const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
             this.scene.add(ambientLight);
+            this.ambientLight = ambientLight;
 
+            // Sun; its direction, colour and intensity follow the time of day
             const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
             directionalLight.position.set(5, 10, 5);
-            directionalLight.castShadow = true;
+            directionalLight.castShadow = this.quality.shadows;
+            this.directionalLight = directionalLight;
             
             // Improve shadow quality and coverage
-            directionalLight.shadow.mapSize.width = 2048;
-            directionalLight.shadow.mapSize.height = 2048;
+            directionalLight.shadow.mapSize.width = this.quality.shadowMapSize;
+            directionalLight.shadow.mapSize.height = this.quality.shadowMapSize;
             directionalLight.shadow.camera.near = 0.5;
             directionalLight.shadow.camera.far = 100;
             directionalLight.shadow.camera.left = -20;
@@ -137,15 +320,17 @@ class Scene3D {
             directionalLight.shadow.camera.bottom = -20;
             
             this.scene.add(directionalLight);
+            this.scene.add(directionalLight.target); // Moved with the camera so shadows stay around the view
 
-            // Add point lights for better atmosphere
-            const pointLight1 = new THREE.PointLight(0x00aaff, 1, 100); // Blue light for water
-            pointLight1.position.set(-5, 2, -5);
-            this.scene.add(pointLight1);
-
-            const pointLight2 = new THREE.PointLight(0xff00ff, 1, 100);
-            pointLight2.position.set(5, 5, -5);
-            this.scene.add(pointLight2);
+            // Cool, shadowless moonlight for the night
+            this.moonLight = new THREE.DirectionalLight(0x8fa8d8, 0);
+            this.scene.add(this.moonLight);
+            this.scene.add(this.moonLight.target);
+            
+            // Sky gradient and stars
+            this.createSkyDome();
+            this.createStars();
+            this.createRain();
             
             // Add controls with adjusted settings for infinite terrain
             this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -154,8 +339,14 @@ class Scene3D {
             this.controls.minDistance = 5; // Slightly increase minimum zoom distance
             this.controls.maxDistance = 50; // Restrict max zoom distance for better performance
             
-            // Restrict camera movement to mainly zooming with limited rotation
-            this.controls.enablePan = false; // Disable panning for simplicity
+            // Restrict camera movement to mainly zooming with limited rotation.
+            // Panning is only mapped to two-finger touch (with pinch zoom); the mouse can't pan,
+            // see onControlsPointerDown. The target stays near the river (clampControlsTarget)
+            this.controls.enablePan = false;
+            this.controls.screenSpacePanning = false; // Pan along the ground, not up into the sky
+            this.controls.mouseButtons.RIGHT = null;
+            this.controls.touches.ONE = THREE.TOUCH.ROTATE;
+            this.controls.touches.TWO = THREE.TOUCH.DOLLY_PAN;
             this.controls.minPolarAngle = Math.PI * 0.2; // Restrict looking up too much
             this.controls.maxPolarAngle = Math.PI * 0.45; // Restrict looking down too much
             this.controls.minAzimuthAngle = -Math.PI * 0.25; // Restrict horizontal rotation
@@ -164,6 +355,12 @@ class Scene3D {
 
             // Add "follow flamingo" button
             this.addFollowFlamingoButton();
+            
+            // Add keyboard access to the topic flags
+            this.createFlagNavigation();
+            
+            // Add settings panel (quality tier)
+            this.createSettingsPanel();
 
             // Create natural river with curved shape
             this.createNaturalRiver();
@@ -173,15 +370,31 @@ class Scene3D {
 
             // Create grass instances for realistic detail
             this.createGrassInstances();
+            
+            // Load topics for the terrain flags
+            this.loadTopics();
 
             // Start animation loop
             this.animate();
 
             // Handle window resize
-            window.addEventListener('resize', this.onWindowResize.bind(this));
+            window.addEventListener('resize', this.onWindowResize);
+            
+            // Capture phase, so pan is switched on or off before OrbitControls sees the pointer
+            this.renderer.domElement.addEventListener('pointerdown', this.onControlsPointerDown, true);
+            
+            // Tap or click on flags - pointer events cover mouse, touch and pen
+            this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+            this.renderer.domElement.addEventListener('pointerup', this.onPointerUp);
+            this.renderer.domElement.addEventListener('pointercancel', this.onPointerCancel);
             
-            // Add click event for flags
-            window.addEventListener('click', this.onMouseClick.bind(this));
+            // Back/forward moves between opened topics
+            window.addEventListener('popstate', this.onPopState);
+            
+            // Hover feedback for flags
+            this.renderer.domElement.addEventListener('pointermove', this.onPointerMove);
+            this.renderer.domElement.addEventListener('pointerleave', this.onPointerLeave);
+            this.createFlagTooltip();
             
             this.logDebug('Scene initialization complete');
         } catch (error) {
@@ -190,146 +403,492 @@ class Scene3D {
         }
     }
 
+    async loadTopics() {
+        try {
+            const { topics, error } = await loadTopicManifest(this.topicManifestUrl);
+            if (this.isDisposed) return;
+            
+            // Broken entries are skipped, the rest of the topics still get flags
+            if (error) {
+                console.error('Error in topic manifest:', error);
+                error.problems.forEach(problem => this.logDebug('ERROR in topics: ' + problem));
+            }
+            
+            this.topics = topics;
+            this.logDebug(`Loaded ${topics.length} topics`);
+            
+            // Flags created here get their own stream, since loading finishes at an unpredictable time
+            this.withRandomStream(hashSeed(this.seed, 'topic-flags'), () => {
+                // Topics with a fixed world placement always get their own flag
+                topics.filter(topic => topic.position).forEach((topic) => {
+                    const groundY = this.getHeightAt(topic.position.x, topic.position.z);
+                    this.createTopicFlag(topic.position.x, groundY, topic.position.z, this.scene, topic);
+                });
+                
+                // Put up the flags for terrain generated while the manifest was loading
+                const sites = this.pendingFlagSites;
+                this.pendingFlagSites = [];
+                sites.forEach((site) => {
+                    // Skip sites whose terrain cell was streamed out in the meantime
+                    if (site.parent !== this.scene && !site.parent.parent) return;
+                    const topic = this.topics[Math.floor(site.topicRoll * this.topics.length)];
+                    this.createTopicFlag(site.x, site.y, site.z, site.parent, topic, site.colorRoll);
+                });
+            });
+            
+            // Open the topic from a shared link like #/topic/webgl
+            this.openTopicFromLocation(true);
+        } catch (error) {
+            console.error('Error loading topics:', error);
+            this.logDebug('ERROR loading topics: ' + error.message.split('\n')[0]);
+        }
+    }
+
     logDebug(message) {
         console.log(message);
-        this.debugElement.innerHTML += message + '<br>';
-        // Keep only last 5 messages
-        const lines = this.debugElement.innerHTML.split('<br>');
-        if (lines.length > 6) {
-            this.debugElement.innerHTML = lines.slice(lines.length - 6).join('<br>');
+        // Plain text only - messages can include topic titles from topics.json
+        this.debugLog.append(document.createTextNode(message), document.createElement('br'));
+        // Keep only last 5 messages (a text node and a <br> each)
+        while (this.debugLog.childNodes.length > 10) {
+            this.debugLog.removeChild(this.debugLog.firstChild);
+        }
+    }
+    
+    updateDebugStats(time) {
+        // Refresh twice a second; counting instances walks the whole scene
+        if (time - this.lastStatsUpdate < 500) return;
+        this.lastStatsUpdate = time;
+        
+        // Without batching every instance would be its own draw call, in the shadow pass too
+        // if it casts shadows. Only InstanceBatcher meshes count - grass was always instanced
+        const shadowPass = this.renderer.shadowMap.enabled && this.directionalLight.castShadow;
+        let extraCalls = 0;
+        this.scene.traverse((child) => {
+            if (child.isInstancedMesh && child.visible && child.userData.instanceType) {
+                const passes = shadowPass && child.castShadow ? 2 : 1;
+                extraCalls += (child.count - 1) * passes;
+            }
+        });
+        
+        // renderer.info counts the shadow map pass along with the main one
+        const drawCalls = this.renderer.info.render.calls;
+        const passNote = shadowPass ? ' incl. shadow pass' : '';
+        this.debugStats.textContent = `Draw calls: ${drawCalls}${passNote} (without batching: ~${drawCalls + extraCalls})`;
+        
+        this.updateDebugTimeline();
+    }
+    
+    updateDebugTimeline() {
+        // The flamingo's states over the last minute as a coloured bar, newest on the right
+        if (!this.flamingoBehaviour) return;
+        const span = 60;
+        const { state, stateTime } = this.flamingoBehaviour;
+        
+        const label = document.createElement('div');
+        label.textContent = `Flamingo: ${state} (${stateTime.toFixed(1)}s)`;
+        
+        const bar = document.createElement('div');
+        bar.style.display = 'flex';
+        bar.style.justifyContent = 'flex-end';
+        bar.style.width = '240px';
+        bar.style.height = '8px';
+        bar.style.margin = '2px 0 4px';
+        bar.style.backgroundColor = 'rgba(255,255,255,0.1)';
+        this.flamingoBehaviour.getTimeline(span).forEach((segment) => {
+            const block = document.createElement('div');
+            block.style.width = `${((segment.end - segment.start) / span) * 100}%`;
+            block.style.backgroundColor = FLAMINGO_STATES[segment.state].color;
+            block.title = segment.state;
+            bar.appendChild(block);
+        });
+        
+        this.debugTimeline.replaceChildren(label, bar);
+    }
+    
+    getInstanceBatcher(parent) {
+        // Instances are queued per parent and built once the parent is filled
+        if (!parent.userData.instanceBatcher) {
+            parent.userData.instanceBatcher = new InstanceBatcher(this.instanceLibrary);
         }
+        return parent.userData.instanceBatcher;
+    }
+    
+    flushInstanceBatches(parent) {
+        const batcher = parent.userData.instanceBatcher;
+        if (!batcher) return;
+        
+        batcher.build(parent);
+        delete parent.userData.instanceBatcher;
+    }
+    
+    getSharedResources() {
+        // Geometries and materials reused across cells, which must outlive any one cell
+        const shared = getLibraryResources(this.instanceLibrary);
+        [
+            this.terrainMaterial,
+            this.waterMaterial,
+            this.grassGeometry,
+            this.grassMaterial,
+            this.grassDepthMaterial,
+            this.flagHitGeometry,
+            this.flagHitMaterial
+        ].forEach(resource => shared.add(resource));
+        return shared;
     }
 
     addInfiniteEnvironment() {
-        // Create a giant ground plane for base
+        // Giant ground plane beyond the streamed terrain chunks, just below the river bed
         const groundSize = 1000;
         const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize, 1, 1);
         const groundMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x3a2a0a,
+            color: this.palette.ground,
             roughness: 0.8,
             metalness: 0.2
         });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -0.5;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+        this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        this.ground.rotation.x = -Math.PI / 2;
+        this.ground.position.y = this.heightField.bedHeight - 0.05;
+        this.ground.receiveShadow = true;
+        this.scene.add(this.ground);
 
         // Generate initial terrain grid around the camera
         this.generateTerrainGrid();
     }
 
     generateTerrainGrid() {
-        // Generate a grid of terrain cells based on camera position
-        const gridExtent = 8; // How many grid cells in each direction
-        
-        for (let x = -gridExtent; x <= gridExtent; x++) {
-            for (let z = -gridExtent; z <= gridExtent; z++) {
-                // Skip the center area where river will be
-                if (x === 0 && z === 0) continue;
-                if (Math.abs(x) <= 1 && Math.abs(z) <= 8) continue;
+        // Fill every cell around the starting camera position in one go,
+        // later cells are streamed in by updateTerrainStreaming
+        this.updateTerrainStreaming(true);
+        
+        // Create expanded terrain along the river (keep existing code)
+        this.createStartTerrain();
+    }
+    
+    createStartTerrain() {
+        // The expanded terrain gets its own group and random stream, like a streamed cell,
+        // so it can be rebuilt without changing (see rebuildWorld)
+        this.startTerrain = new THREE.Group();
+        this.startTerrain.name = 'start-terrain';
+        this.withRandomStream(hashSeed(this.seed, 'start-terrain'), () => {
+            this.createExpandedTerrain(this.startTerrain);
+        });
+        this.flushInstanceBatches(this.startTerrain);
+        this.scene.add(this.startTerrain);
+    }
+    
+    updateTerrainStreaming(generateAll = false) {
+        // Stream terrain cells in and out as the camera moves
+        try {
+            const cellX = Math.round(this.camera.position.x / this.gridSize);
+            const cellZ = Math.round(this.camera.position.z / this.gridSize);
+            const cameraCell = `${cellX},${cellZ}`;
+            
+            // Only recompute the visible set when the camera enters a new cell
+            if (cameraCell !== this.lastStreamingCell) {
+                this.lastStreamingCell = cameraCell;
+                
+                // Keep the ground plane centred under the camera
+                if (this.ground) {
+                    this.ground.position.x = cellX * this.gridSize;
+                    this.ground.position.z = cellZ * this.gridSize;
+                }
+                
+                const extent = Math.ceil(this.visibleRadius / this.gridSize);
+                const cameraX = this.camera.position.x;
+                const cameraZ = this.camera.position.z;
+                const wanted = [];
+                
+                this.activeTerrain.clear();
+                for (let x = cellX - extent; x <= cellX + extent; x++) {
+                    for (let z = cellZ - extent; z <= cellZ + extent; z++) {
+                        const gridX = x * this.gridSize;
+                        const gridZ = z * this.gridSize;
+                        const distance = Math.hypot(gridX - cameraX, gridZ - cameraZ);
+                        if (distance > this.visibleRadius) continue;
+                        
+                        const key = `${gridX},${gridZ}`;
+                        this.activeTerrain.add(key);
+                        if (!this.terrainGrid.has(key)) {
+                            wanted.push({ gridX, gridZ, distance });
+                        }
+                    }
+                }
                 
+                // Generate the nearest cells first
+                wanted.sort((a, b) => a.distance - b.distance);
+                this.pendingTerrainCells = wanted;
+                
+                // Remove cells that have left the visible radius, with one cell
+                // of slack so cells on the boundary don't flicker in and out
+                const removeRadius = this.visibleRadius + this.gridSize;
+                for (const cell of this.terrainGrid.values()) {
+                    if (Math.hypot(cell.x - cameraX, cell.z - cameraZ) > removeRadius) {
+                        this.removeTerrainCell(cell.key);
+                    }
+                }
+            }
+            
+            // Create pending cells, a few per frame unless asked for all of them
+            const budget = generateAll ? this.pendingTerrainCells.length : this.maxCellsPerFrame;
+            let created = 0;
+            for (; created < budget && this.pendingTerrainCells.length > 0; created++) {
+                const { gridX, gridZ } = this.pendingTerrainCells.shift();
                 // Create terrain cell with consistent seed based on position
-                this.createTerrainCell(x * this.gridSize, z * this.gridSize);
+                this.createTerrainCell(gridX, gridZ);
+            }
+            
+            // Spend what is left of the budget regenerating cells after a quality step
+            for (; created < this.maxCellsPerFrame && this.staleTerrainCells.length > 0; created++) {
+                const cell = this.terrainGrid.get(this.staleTerrainCells.shift());
+                if (!cell) continue; // Streamed out in the meantime
+                this.removeTerrainCell(cell.key);
+                this.createTerrainCell(cell.x, cell.z);
             }
+        } catch (error) {
+            console.error('Error streaming terrain:', error);
+            this.logDebug('ERROR streaming terrain: ' + error.message);
         }
-        
-        // Create expanded terrain along the river (keep existing code)
-        this.createExpandedTerrain();
     }
     
-    createTerrainCell(gridX, gridZ) {
-        // Create a terrain cell at the specified grid position
-        const cellKey = `${gridX},${gridZ}`;
-        
-        // Check if this cell already exists
-        if (this.terrainGrid.some(t => t.key === cellKey)) {
-            return;
-        }
-        
-        // Skip terrain generation if this cell intersects with the river
-        // Check multiple points along the river path to account for its curve
-        let intersectsRiver = false;
-        const riverWidth = 3; // Must match createNaturalRiver
-        const riverHalfWidth = riverWidth / 2 + 1; // Add buffer zone
+    removeTerrainCell(cellKey) {
+        const cell = this.terrainGrid.get(cellKey);
+        if (!cell) return;
         
-        // Check cell corners and center for river intersection
-        const cellSize = this.gridSize;
-        const pointsToCheck = [
-            {x: gridX - cellSize/2, z: gridZ - cellSize/2}, // Bottom left
-            {x: gridX + cellSize/2, z: gridZ - cellSize/2}, // Bottom right
-            {x: gridX - cellSize/2, z: gridZ + cellSize/2}, // Top left
-            {x: gridX + cellSize/2, z: gridZ + cellSize/2}, // Top right
-            {x: gridX, z: gridZ} // Center
-        ];
+        this.terrainGrid.delete(cellKey);
         
-        for (const point of pointsToCheck) {
-            const curveOffset = this.getRiverCurveOffset(point.z);
-            const distToRiver = Math.abs(point.x - curveOffset);
-            if (distToRiver < riverHalfWidth) {
-                intersectsRiver = true;
-                break;
+        this.removeWorldGroup(cell.group);
+    }
+    
+    removeWorldGroup(group) {
+        // Forget grass, flags and flight obstacles that belong to this group
+        this.grassInstances = this.grassInstances.filter(grass => grass.mesh.parent !== group);
+        this.obstacles.removeOwner(group);
+        const groupFlags = new Set();
+        group.traverse((child) => {
+            if (child.userData && child.userData.topic) {
+                groupFlags.add(child);
             }
+        });
+        this.clickableFlags = this.clickableFlags.filter(flag => !groupFlags.has(flag));
+        this.flagHitAreas = this.flagHitAreas.filter(hitArea => !groupFlags.has(hitArea.userData.flag));
+        if (groupFlags.has(this.hoveredFlag)) {
+            this.setHoveredFlag(null);
         }
-        
-        if (intersectsRiver) {
-            return; // Skip this cell as it intersects with the river
+        if (groupFlags.size > 0) {
+            this.flagNavigationDirty = true;
         }
         
-        // Create terrain features for this cell
-        const terrainFeatures = [];
-        
-        // Use a seeded random based on position for consistency
-        let seed = Math.abs(gridX * 10000 + gridZ);
-        const rng = () => {
-            const x = Math.sin(seed++) * 10000;
-            return x - Math.floor(x);
-        };
-        
-        // Generate 3-6 terrain features per cell
-        const featureCount = Math.floor(rng() * 4) + 3;
+        this.scene.remove(group);
         
-        for (let i = 0; i < featureCount; i++) {
-            // Random position within this grid cell
-            const offsetX = (rng() - 0.5) * this.gridSize * 0.8;
-            const offsetZ = (rng() - 0.5) * this.gridSize * 0.8;
-            const posX = gridX + offsetX;
-            const posZ = gridZ + offsetZ;
+        // Free GPU resources, but keep the templates shared by every cell
+        this.disposeObject(group, this.getSharedResources());
+    }
+    
+    disposeObject(object, keep = new Set()) {
+        // Dispose geometries, materials and textures of an object and its children
+        object.traverse((child) => {
+            if (child.isInstancedMesh) {
+                child.dispose();
+            }
+            
+            if (child.geometry && !keep.has(child.geometry)) {
+                child.geometry.dispose();
+            }
             
-            // Skip if too close to river
-            const curveOffset = this.getRiverCurveOffset(posZ);
-            const distToRiver = Math.abs(posX - curveOffset);
-            if (distToRiver < riverHalfWidth) continue;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                if (!material || keep.has(material)) return;
+                
+                // Textures can sit on any map slot (map, alphaMap, normalMap, ...)
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) {
+                        value.dispose();
+                    }
+                });
+                material.dispose();
+            });
+        });
+    }
+    
+    dispose() {
+        // Tear down everything the scene created so it can be unmounted cleanly
+        if (this.isDisposed) return;
+        this.isDisposed = true;
+        
+        try {
+            // Stop the render loop
+            if (this.animationFrameId !== null) {
+                cancelAnimationFrame(this.animationFrameId);
+                this.animationFrameId = null;
+            }
             
-            // Random height and scale
-            const height = 0.1 + rng() * 0.4;
-            const scale = 0.5 + rng() * 1.0;
+            // Remove event listeners
+            window.removeEventListener('resize', this.onWindowResize);
+            this.renderer.domElement.removeEventListener('pointerdown', this.onControlsPointerDown, true);
+            this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            this.renderer.domElement.removeEventListener('pointerup', this.onPointerUp);
+            this.renderer.domElement.removeEventListener('pointercancel', this.onPointerCancel);
+            window.removeEventListener('popstate', this.onPopState);
+            this.renderer.domElement.removeEventListener('pointermove', this.onPointerMove);
+            this.renderer.domElement.removeEventListener('pointerleave', this.onPointerLeave);
+            
+            // Stop the flamingo's behaviour, its flight controller and any running camera tweens
+            this.flamingoBehaviour = null;
+            this.flamingoFlight = null;
+            this.obstacles.clear();
+            gsap.killTweensOf(this.camera.position);
+            if (this.controls) {
+                gsap.killTweensOf(this.controls.target);
+            }
             
-            // Varied colors for natural appearance
-            const colorVariation = rng() * 0.1;
-            const baseColor = 0x3b7a37;
-            const color = new THREE.Color(baseColor).offsetHSL(0, 0, colorVariation - 0.05);
+            // Stop flamingo animations
+            if (this.flamingoMixer) {
+                this.flamingoMixer.stopAllAction();
+                this.flamingoMixer.uncacheRoot(this.flamingo);
+                this.flamingoMixer = null;
+            }
             
-            // Create the terrain feature
-            const terrain = this.createTerrain(posX, height, posZ, scale, color.getHex());
+            // Remove DOM nodes created by the scene
+            [
+                this.debugElement,
+                this.cvButton,
+                this.followButton,
+                this.settingsPanel,
+                this.flagNavigation,
+                this.flagTooltip,
+                this.topicModal
+            ].forEach((element) => {
+                if (element && element.parentNode) {
+                    element.parentNode.removeChild(element);
+                }
+            });
+            this.topicModal = null;
             
-            if (terrain) {
-                terrainFeatures.push(terrain);
-                
-                // Add grass on this terrain
-                this.addGrassToTerrain(terrain, scale);
+            // Free GPU resources
+            if (this.controls) {
+                this.controls.dispose();
+            }
+            this.disposeObject(this.scene);
+            this.scene.clear();
+            disposeInstanceLibrary(this.instanceLibrary);
+            if (this.waterFoam) {
+                this.waterFoam.dispose(); // Also frees the simulation's render targets
+                this.waterFoam = null;
             }
+            if (this.waterNormalMap) {
+                this.waterNormalMap.dispose(); // Lives in shader uniforms, not a material map slot
+            }
+            if (this.grassDepthMaterial) {
+                this.grassDepthMaterial.dispose(); // Only referenced as customDepthMaterial
+            }
+            this.terrainGrid.clear();
+            this.riverSegments.clear();
+            this.pendingFlagSites = [];
+            this.activeTerrain.clear();
+            this.pendingTerrainCells = [];
+            this.staleTerrainCells = [];
+            this.grassInstances = [];
+            this.clickableFlags = [];
+            this.flagHitAreas = [];
+            this.activePointers.clear();
+            this.hoveredFlag = null;
+            this.flagNavigationItems.clear();
+            
+            this.renderer.dispose();
+            if (this.renderer.domElement.parentNode) {
+                this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+            }
+        } catch (error) {
+            console.error('Error disposing Scene3D:', error);
         }
+    }
+    
+    createTerrainCell(gridX, gridZ) {
+        // Create a terrain cell at the specified grid position
+        const cellKey = `${gridX},${gridZ}`;
+        
+        // Check if this cell already exists
+        if (this.terrainGrid.has(cellKey)) {
+            return;
+        }
+        
+        const riverHalfWidth = this.riverWidth / 2 + 1; // Keep features this far from the river centre
+        
+        // The start terrain (see createStartTerrain) already covers the middle of the map
+        const column = Math.round(gridX / this.gridSize);
+        const row = Math.round(gridZ / this.gridSize);
+        const isStartArea = Math.abs(column) <= 1 && Math.abs(row) <= 8;
+        
+        // Create terrain features for this cell, grouped so the cell can be removed as a whole
+        const terrainFeatures = [];
+        const cellGroup = new THREE.Group();
+        cellGroup.name = `terrain-cell-${cellKey}`;
+        cellGroup.add(this.createTerrainChunk(gridX, gridZ));
+        
+        // Each cell gets its own random stream derived from the world seed and its position,
+        // so the result doesn't depend on the order cells are streamed in
+        this.withRandomStream(hashSeed(this.seed, 'cell', gridX, gridZ), () => {
+            const rng = this.random;
+            
+            // Generate 3-6 terrain features per cell
+            const featureCount = isStartArea ? 0 : Math.floor(rng() * 4) + 3;
+            
+            for (let i = 0; i < featureCount; i++) {
+                // Random position within this grid cell
+                const offsetX = (rng() - 0.5) * this.gridSize * 0.8;
+                const offsetZ = (rng() - 0.5) * this.gridSize * 0.8;
+                const posX = gridX + offsetX;
+                const posZ = gridZ + offsetZ;
+            
+                // Skip if too close to river
+                const curveOffset = this.getRiverCurveOffset(posZ);
+                const distToRiver = Math.abs(posX - curveOffset);
+                if (distToRiver < riverHalfWidth) continue;
+            
+                // Random size
+                const scale = 0.5 + rng() * 1.0;
+            
+                // Varied colors for natural appearance
+                const colorVariation = rng() * 0.1;
+                const baseColor = this.palette.terrain;
+                const color = new THREE.Color(baseColor).offsetHSL(0, 0, colorVariation - 0.05);
+            
+                // Create the terrain feature
+                const terrain = this.createTerrain(posX, posZ, scale, color.getHex(), cellGroup);
+            
+                if (terrain) {
+                    terrainFeatures.push(terrain);
+                
+                    // Add grass on this terrain
+                    this.addGrassToTerrain(terrain, scale, false, cellGroup);
+                }
+            }
+        });
+        
+        this.flushInstanceBatches(cellGroup);
+        this.scene.add(cellGroup);
         
         // Store the terrain cell
-        this.terrainGrid.push({
+        this.terrainGrid.set(cellKey, {
             key: cellKey,
             x: gridX,
             z: gridZ,
-            features: terrainFeatures
+            features: terrainFeatures,
+            group: cellGroup
         });
     }
-
+    
+    withRandomStream(seed, callback) {
+        // Run callback with this.random temporarily bound to a dedicated stream
+        const previousRandom = this.random;
+        this.random = createRandom(seed);
+        try {
+            return callback();
+        } finally {
+            this.random = previousRandom;
+        }
+    }
+    
     // Calculate a curve offset at any point along the z-axis
     getRiverCurveOffset(z) {
         // Create a natural winding pattern using multiple sine functions with different frequencies
@@ -338,147 +897,205 @@ class Scene3D {
                Math.sin(z * 0.05) * 2.0 + 
                Math.sin(z * 0.1) * 0.8;
     }
+    
+    // Ground height at any point, including the river bed under the water
+    getHeightAt(x, z) {
+        return this.heightField.getHeightAt(x, z);
+    }
+    
+    // Height of whatever is on top: the ground, or the water where the river covers it
+    getSurfaceHeightAt(x, z) {
+        return Math.max(this.getHeightAt(x, z), WATER_LEVEL);
+    }
+    
+    createTerrainChunk(centerX, centerZ) {
+        // One heightfield tile per cell. Normals come from the heightfield rather than the
+        // triangles, so neighbouring chunks shade the same along their shared edge
+        const size = this.gridSize;
+        const segments = this.terrainSegments;
+        const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+        geometry.rotateX(-Math.PI / 2);
+        
+        const palette = this.palette;
+        const field = this.heightField;
+        const halfWidth = this.riverWidth / 2;
+        const landColor = new THREE.Color(palette.terrain);
+        const bankColor = new THREE.Color(palette.bankGrass);
+        const bedColor = new THREE.Color(0x5c4e3b); // Mud under the water
+        const snowColor = new THREE.Color(palette.snowColor || 0xffffff);
+        const color = new THREE.Color();
+        const normal = new THREE.Vector3();
+        
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        const colors = new Float32Array(positions.count * 3);
+        for (let i = 0; i < positions.count; i++) {
+            const x = centerX + positions.getX(i);
+            const z = centerZ + positions.getZ(i);
+            const height = field.getHeightAt(x, z);
+            positions.setY(i, height);
+            field.getNormalAt(x, z, normal);
+            normals.setXYZ(i, normal.x, normal.y, normal.z);
+            
+            // Lusher along the banks, muddy under the water, patchy everywhere
+            const variation = field.getVariationAt(x, z);
+            const distance = field.getRiverDistance(x, z);
+            color.copy(landColor).lerp(bankColor, 1 - THREE.MathUtils.smoothstep(distance, halfWidth + 0.5, halfWidth + 3));
+            color.lerp(bedColor, THREE.MathUtils.smoothstep(-height, -WATER_LEVEL - 0.05, -WATER_LEVEL + 0.15));
+            color.offsetHSL(0, 0, (variation - 0.5) * 0.08);
+            
+            // Snow settles on the higher ground first
+            if (palette.snow > 0) {
+                const snowLine = 0.6 - 0.7 * palette.snow;
+                const snow = THREE.MathUtils.smoothstep(height + (variation - 0.5) * 0.3, snowLine, snowLine + 0.35);
+                color.lerp(snowColor, snow * palette.snow);
+            }
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        
+        const chunk = new THREE.Mesh(geometry, this.terrainMaterial);
+        chunk.name = 'terrain-chunk';
+        chunk.position.set(centerX, 0, centerZ);
+        chunk.castShadow = true;
+        chunk.receiveShadow = true;
+        return chunk;
+    }
 
-    createExpandedTerrain() {
+    createExpandedTerrain(parent = this.scene) {
         // Ensure terrain doesn't overlap with river
-        const riverWidth = 3; // Must match riverWidth from createNaturalRiver
+        const riverWidth = this.riverWidth;
         const safeDistance = riverWidth / 2 + 0.5; // Keep terrain at least this far from river center
         
         // Create many terrain features on left side (away from river)
         for (let i = 0; i < 20; i++) {
             // Random positions but avoid the river area
-            const z = (Math.random() - 0.5) * 18;
+            const z = (this.random() - 0.5) * 18;
             const curveOffset = this.getRiverCurveOffset(z);
             
             // Left side terrain (more extensive coverage) - ensure minimum safe distance from river
             const minSafeDistanceLeft = -safeDistance + curveOffset;
-            const leftX = Math.min(minSafeDistanceLeft - 0.5, -2.5 - curveOffset - Math.random() * 5);
-            const height = 0.1 + Math.random() * 0.3;
-            const scale = 0.5 + Math.random() * 0.8;
+            const leftX = Math.min(minSafeDistanceLeft - 0.5, -2.5 - curveOffset - this.random() * 5);
+            const scale = 0.5 + this.random() * 0.8;
             
             // Varied colors for more natural appearance
-            const colorVariation = Math.random() * 0.1;
-            const baseColor = 0x3b7a37;
+            const colorVariation = this.random() * 0.1;
+            const baseColor = this.palette.terrain;
             const color = new THREE.Color(baseColor).offsetHSL(0, 0, colorVariation - 0.05);
             
-            const terrain = this.createTerrain(leftX, height, z, scale, color.getHex());
+            const terrain = this.createTerrain(leftX, z, scale, color.getHex(), parent);
             
             // Add grass to this terrain feature
             if (terrain) {
-                this.addGrassToTerrain(terrain, scale);
+                this.addGrassToTerrain(terrain, scale, false, parent);
             }
         }
         
         // Create terrain on right side (away from river)
         for (let i = 0; i < 20; i++) {
-            const z = (Math.random() - 0.5) * 18;
+            const z = (this.random() - 0.5) * 18;
             const curveOffset = this.getRiverCurveOffset(z);
             
             // Right side terrain - ensure minimum safe distance from river
             const minSafeDistanceRight = safeDistance + curveOffset;
-            const rightX = Math.max(minSafeDistanceRight + 0.5, 2.5 + curveOffset + Math.random() * 5);
-            const height = 0.1 + Math.random() * 0.3;
-            const scale = 0.5 + Math.random() * 0.8;
+            const rightX = Math.max(minSafeDistanceRight + 0.5, 2.5 + curveOffset + this.random() * 5);
+            const scale = 0.5 + this.random() * 0.8;
             
             // Varied colors
-            const colorVariation = Math.random() * 0.1;
-            const baseColor = 0x3b7a37;
+            const colorVariation = this.random() * 0.1;
+            const baseColor = this.palette.terrain;
             const color = new THREE.Color(baseColor).offsetHSL(0, 0, colorVariation - 0.05);
             
-            const terrain = this.createTerrain(rightX, height, z, scale, color.getHex());
+            const terrain = this.createTerrain(rightX, z, scale, color.getHex(), parent);
             
             // Add grass to this terrain feature
             if (terrain) {
-                this.addGrassToTerrain(terrain, scale);
+                this.addGrassToTerrain(terrain, scale, false, parent);
             }
         }
         
         // Add smaller terrain close to river banks (for detail) - ensure they're exactly at river edge
         for (let i = 0; i < 16; i++) {
             const side = i % 2 === 0 ? -1 : 1; // Alternate left and right
-            const z = (Math.random() - 0.5) * 18;
+            const z = (this.random() - 0.5) * 18;
             const curveOffset = this.getRiverCurveOffset(z);
             
-            // Position exactly at the riverbank edge
-            const edgeX = side * (riverWidth / 2 + curveOffset * 0.5);
-            const xOffset = side * (0.1 + Math.random() * 0.3); // Small offset away from river
+            // Position just above the water's edge on the bank
+            const edgeX = curveOffset + side * (riverWidth / 2 + 0.3);
+            const xOffset = side * (0.1 + this.random() * 0.3); // Small offset away from river
             const x = edgeX + xOffset;
             
-            const height = 0.05 + Math.random() * 0.15;
-            const scale = 0.3 + Math.random() * 0.4;
+            const scale = 0.3 + this.random() * 0.4;
             
             // Greener color for near-river vegetation
-            const bankColor = 0x2d6a29;
+            const bankColor = this.palette.bankEdge;
             
-            const terrain = this.createTerrain(x, height, z, scale, bankColor);
+            const terrain = this.createTerrain(x, z, scale, bankColor, parent);
             
             // Add grass to this riverbank terrain
             if (terrain) {
-                this.addGrassToTerrain(terrain, scale, true); // true for denser grass near river
+                this.addGrassToTerrain(terrain, scale, true, parent); // true for denser grass near river
             }
         }
     }
 
-    createTerrain(posX, height, posZ, scale, color) {
+    createTerrain(posX, posZ, scale, color, parent = this.scene) {
+        // A patch of ground for grass, vegetation and sometimes a rock or flag. The land itself
+        // is the heightfield, this object only holds the patch's position and size
         try {
-            // Create varied terrain shapes
-            const terrainType = Math.floor(Math.random() * 3);
-            let terrainGeometry;
-            
-            switch(terrainType) {
-                case 0: // Rounded hill
-                    terrainGeometry = new THREE.SphereGeometry(1, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
-                    break;
-                case 1: // Rocky formation
-                    terrainGeometry = new THREE.DodecahedronGeometry(0.8, 0);
-                    break;
-                case 2: // Gentle mound
-                default:
-                    terrainGeometry = new THREE.SphereGeometry(1, 6, 4, 0, Math.PI * 2, 0, Math.PI / 2);
-                    break;
-            }
-            
-            const terrainMaterial = new THREE.MeshStandardMaterial({
-                color: color,
-                roughness: 0.8,
-                metalness: 0.1,
-                flatShading: true,
-            });
+            const hasRock = Math.floor(this.random() * 3) === 1;
             
-            const terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
+            const terrain = new THREE.Object3D();
             
             // Position and scale with slight randomization
-            const xVariation = Math.random() * 0.3 - 0.15;
-            terrain.position.set(posX + xVariation, -0.5 + height, posZ);
+            const xVariation = this.random() * 0.3 - 0.15;
+            const x = posX + xVariation;
+            
+            // Nothing grows in the water
+            if (this.heightField.getRiverDistance(x, posZ) < this.riverWidth / 2 + 0.2) {
+                return null;
+            }
+            const groundY = this.getHeightAt(x, posZ);
+            terrain.position.set(x, groundY, posZ);
             
             // Non-uniform scaling for more natural shapes
-            const xzScale = scale * (1 + Math.random() * 0.3);
-            const yScale = scale * (0.3 + Math.random() * 0.3);
+            const xzScale = scale * (1 + this.random() * 0.3);
+            const yScale = scale * (0.3 + this.random() * 0.3);
             terrain.scale.set(xzScale, yScale, xzScale);
             
             // Random rotation
-            terrain.rotation.y = Math.random() * Math.PI * 2;
+            terrain.rotation.y = this.random() * Math.PI * 2;
             
-            // Add vegetation (trees/bushes as before)
-            const vegCount = Math.floor(scale * 3) + 1;
-            this.addVegetation(posX, -0.5 + height, posZ, scale, vegCount);
+            // Add vegetation (trees/bushes as before), scaled by the quality tier. It draws from
+            // its own random stream so the tier doesn't change the rest of the layout
+            const vegCount = Math.max(1, Math.round((Math.floor(scale * 3) + 1) * this.quality.vegetationDensity));
+            this.withRandomStream(hashSeed(this.seed, 'vegetation', posX, posZ), () => {
+                this.addVegetation(posX, posZ, scale, vegCount, parent);
+            });
             
             // Add a topic flag to some terrain features (30% chance)
-            if (Math.random() < 0.3) {
-                this.createTopicFlag(posX, -0.5 + height, posZ);
+            if (this.random() < 0.3) {
+                this.createTopicFlag(posX, this.getHeightAt(posX, posZ), posZ, parent);
             }
             
-            // Add shadows
-            terrain.castShadow = true;
-            terrain.receiveShadow = true;
-            
-            this.scene.add(terrain);
+            // A third of the patches get a half-buried rock
+            if (hasRock) {
+                const rock = new THREE.Object3D();
+                rock.position.set(x, groundY + yScale * 0.1, posZ);
+                rock.scale.copy(terrain.scale);
+                rock.rotation.copy(terrain.rotation);
+                this.getInstanceBatcher(parent).add('rock', rock, color);
+                this.addSnowCap('rock', rock, parent);
+            }
             
             // Store additional information with the terrain
             terrain.userData = {
                 type: 'terrain',
                 baseScale: { x: xzScale, y: yScale, z: xzScale },
-                baseHeight: height,
                 baseColor: color
             };
             
@@ -490,57 +1107,70 @@ class Scene3D {
         }
     }
     
-    addVegetation(posX, posY, posZ, scale, count = 3) {
+    addSnowCap(instanceType, rock, parent = this.scene) {
+        // A smaller copy of the rock, raised so only its top pokes out, drawn in the snow colour
+        const snow = this.palette.snow;
+        if (!snow) return;
+        
+        const cap = new THREE.Object3D();
+        cap.position.copy(rock.position);
+        cap.position.y += rock.scale.y * 0.6;
+        cap.rotation.copy(rock.rotation);
+        const spread = 0.5 + 0.2 * snow; // Deeper snow covers more of the rock
+        cap.scale.set(rock.scale.x * spread, rock.scale.y * 0.55, rock.scale.z * spread);
+        this.getInstanceBatcher(parent).add(instanceType, cap, this.palette.snowColor);
+    }
+    
+    addVegetation(posX, posZ, scale, count = 3, parent = this.scene) {
         // Create trees and bushes
         for (let i = 0; i < count; i++) {
             // Random offsets
-            const offsetX = (Math.random() - 0.5) * scale * 1.5;
-            const offsetZ = (Math.random() - 0.5) * scale * 1.5;
+            const offsetX = (this.random() - 0.5) * scale * 1.5;
+            const offsetZ = (this.random() - 0.5) * scale * 1.5;
             
             // Determine vegetation type
-            const vegType = Math.random();
-            let geometry, material;
+            const vegType = this.random();
+            let instanceType, color;
             
             if (vegType > 0.7) {
                 // Tall tree
-                geometry = new THREE.ConeGeometry(0.15, 0.7, 5);
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x225522,
-                    roughness: 0.9,
-                    metalness: 0.0
-                });
+                instanceType = 'tree-tall';
+                color = this.palette.foliage[0];
             } else if (vegType > 0.3) {
                 // Medium tree
-                geometry = new THREE.ConeGeometry(0.2, 0.5, 5);
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x336633,
-                    roughness: 0.9,
-                    metalness: 0.0
-                });
+                instanceType = 'tree-medium';
+                color = this.palette.foliage[1];
             } else {
                 // Bush/shrub
-                geometry = new THREE.SphereGeometry(0.15, 6, 4);
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x447744,
-                    roughness: 0.9,
-                    metalness: 0.0
-                });
+                instanceType = 'bush';
+                color = this.palette.foliage[2];
             }
             
-            const vegetation = new THREE.Mesh(geometry, material);
-            vegetation.position.set(posX + offsetX, posY + 0.25, posZ + offsetZ);
+            // Each plant stands on the ground where it grows, slightly sunk in
+            const x = posX + offsetX;
+            const z = posZ + offsetZ;
+            const vegetation = new THREE.Object3D();
+            vegetation.position.set(x, this.getHeightAt(x, z) + 0.25, z);
             
             // Random rotation
-            vegetation.rotation.y = Math.random() * Math.PI * 2;
+            vegetation.rotation.y = this.random() * Math.PI * 2;
             
             // Random scale
-            const vegScale = 0.7 + Math.random() * 0.6;
+            const vegScale = 0.7 + this.random() * 0.6;
             vegetation.scale.set(vegScale, vegScale, vegScale);
             
-            vegetation.castShadow = true;
-            vegetation.receiveShadow = true;
+            this.getInstanceBatcher(parent).add(instanceType, vegetation, color);
             
-            this.scene.add(vegetation);
+            // Trees are tall enough to matter to the flamingo; bushes stay below its clearance
+            if (instanceType !== 'bush') {
+                const size = instanceType === 'tree-tall' ? { radius: 0.15, height: 0.7 } : { radius: 0.2, height: 0.5 };
+                this.obstacles.add(parent, {
+                    x,
+                    z,
+                    radius: size.radius * vegScale,
+                    top: vegetation.position.y + size.height * vegScale / 2
+                });
+            }
         }
     }
     
@@ -611,15 +1241,24 @@ class Scene3D {
             map: grassTexture,
             alphaTest: 0.7,
             side: THREE.DoubleSide,
-            color: 0x91e56e, // Maintain the color
-            emissive: 0x112211, // Slight emissive to enhance visibility
+            color: this.palette.grass, // Season colour, also the base of each blade's instance colour
+            emissive: this.palette.grassEmissive, // Slight emissive to enhance visibility
             metalness: 0.0,
             roughness: 0.8
         });
         
+        // Sway in the vertex shader; the depth material keeps shadows in step with the blades
+        applyWindToMaterial(grassMaterial, this.windUniforms, bladeHeight);
+        const grassDepthMaterial = applyWindToMaterial(new THREE.MeshDepthMaterial({
+            depthPacking: THREE.RGBADepthPacking,
+            map: grassTexture,
+            alphaTest: 0.7
+        }), this.windUniforms, bladeHeight);
+        
         // Store for later
         this.grassGeometry = grassGeometry;
         this.grassMaterial = grassMaterial;
+        this.grassDepthMaterial = grassDepthMaterial;
     }
     
     createGrassTexture() {
@@ -652,153 +1291,126 @@ class Scene3D {
         return texture;
     }
     
-    addGrassToTerrain(terrain, baseScale, isRiverbank = false) {
+    addGrassToTerrain(terrain, baseScale, isRiverbank = false, parent = this.scene) {
         if (!terrain || !this.grassGeometry || !this.grassMaterial) return;
         
-        try {
-            // Calculate grass density based on terrain size - INCREASED DENSITY
-            const terrainSize = baseScale * 2.5; // Larger terrain size consideration
-            const grassDensity = isRiverbank ? 80 : 50; // Significantly more grass on terrain
-            const grassCount = Math.floor(terrainSize * terrainSize * grassDensity);
-            
-            // Create an instanced mesh for grass
-            const grassInstancedMesh = new THREE.InstancedMesh(
-                this.grassGeometry,
-                this.grassMaterial,
-                grassCount
-            );
-            
-            grassInstancedMesh.castShadow = true;
-            grassInstancedMesh.receiveShadow = true;
-            
-            // Get terrain position and scale
-            const terrainPos = terrain.position;
-            const terrainScale = terrain.scale;
-            
-            // Create dummy for instance transforms
-            const dummy = new THREE.Object3D();
-            
-            // Place grass blades around the terrain
-            for (let i = 0; i < grassCount; i++) {
-                // Random position on terrain surface
-                const theta = Math.random() * Math.PI * 2;
-                const radius = (Math.sqrt(Math.random()) * terrainScale.x * 0.9);
+        // Grass draws from its own random stream so its density doesn't change the rest of the layout
+        this.withRandomStream(hashSeed(this.seed, 'grass', terrain.position.x, terrain.position.z), () => {
+            try {
+                // Calculate grass density based on terrain size - INCREASED DENSITY
+                const terrainSize = baseScale * 2.5; // Larger terrain size consideration
+                const grassDensity = (isRiverbank ? 80 : 50) * this.quality.grassDensity; // Scaled by quality tier
+                const grassCount = Math.floor(terrainSize * terrainSize * grassDensity);
                 
-                const x = terrainPos.x + Math.cos(theta) * radius;
-                const z = terrainPos.z + Math.sin(theta) * radius;
-                
-                // Calculate y position on terrain surface (approximate)
-                const terrainHeight = terrainPos.y + (terrainScale.y * Math.cos(radius / terrainScale.x * Math.PI/2));
-                const y = terrainHeight - 0.05; // Slightly embedded in terrain
+                // Create an instanced mesh for grass
+                const grassInstancedMesh = new THREE.InstancedMesh(
+                    this.grassGeometry,
+                    this.grassMaterial,
+                    grassCount
+                );
                 
-                // Set position, scale and rotation
-                dummy.position.set(x, y, z);
+                grassInstancedMesh.castShadow = true;
+                grassInstancedMesh.receiveShadow = true;
+                grassInstancedMesh.customDepthMaterial = this.grassDepthMaterial;
                 
-                // Random height and width for grass variation - LARGER
-                const height = 0.15 + Math.random() * 0.25; // Taller grass
-                const width = 0.06 + Math.random() * 0.04; // Wider grass
+                // Get terrain position and scale
+                const terrainPos = terrain.position;
+                const terrainScale = terrain.scale;
                 
-                dummy.scale.set(width, height, width);
+                // Create dummy for instance transforms
+                const dummy = new THREE.Object3D();
                 
-                // Random rotation
-                dummy.rotation.y = Math.random() * Math.PI * 2;
+                // Place grass blades around the terrain
+                for (let i = 0; i < grassCount; i++) {
+                    // Random position on terrain surface
+                    const theta = this.random() * Math.PI * 2;
+                    const radius = (Math.sqrt(this.random()) * terrainScale.x * 0.9);
+                    
+                    const x = terrainPos.x + Math.cos(theta) * radius;
+                    const z = terrainPos.z + Math.sin(theta) * radius;
+                    
+                    // Exactly on the ground, slightly embedded
+                    const y = this.getHeightAt(x, z) - 0.05;
+                    
+                    // Blades that would stand in the river are left out
+                    if (y < WATER_LEVEL) {
+                        dummy.scale.set(0, 0, 0);
+                        dummy.updateMatrix();
+                        grassInstancedMesh.setMatrixAt(i, dummy.matrix);
+                        continue;
+                    }
+                    
+                    // Set position, scale and rotation
+                    dummy.position.set(x, y, z);
+                    
+                    // Random height and width for grass variation - LARGER
+                    const height = 0.15 + this.random() * 0.25; // Taller grass
+                    const width = 0.06 + this.random() * 0.04; // Wider grass
+                    
+                    dummy.scale.set(width, height, width);
+                    
+                    // Random rotation
+                    dummy.rotation.y = this.random() * Math.PI * 2;
+                    
+                    // Small random tilt
+                    const tiltAmount = this.random() * 0.2;
+                    dummy.rotation.x = (this.random() - 0.5) * tiltAmount;
+                    dummy.rotation.z = (this.random() - 0.5) * tiltAmount;
+                    
+                    // Apply instance transform
+                    dummy.updateMatrix();
+                    grassInstancedMesh.setMatrixAt(i, dummy.matrix);
+                    
+                    // Apply random color variation - but check if mesh supports color first
+                    if (typeof grassInstancedMesh.setColorAt === 'function') {
+                        const colorVar = 0.2; // More color variation
+                        const baseColor = new THREE.Color(this.palette.grass);
+                        const randomColor = baseColor.clone().offsetHSL(
+                            (this.random() - 0.5) * 0.05,
+                            (this.random() - 0.5) * colorVar,
+                            (this.random() - 0.3) * colorVar // Bias toward slightly brighter
+                        );
+                        try {
+                            grassInstancedMesh.setColorAt(i, randomColor);
+                        } catch (e) {
+                            // If setting color fails, we'll just continue without colors
+                            console.warn("Could not set instance color - continuing without color variation");
+                            break; // Don't try to set more colors
+                        }
+                    }
+                }
                 
-                // Small random tilt
-                const tiltAmount = Math.random() * 0.2;
-                dummy.rotation.x = (Math.random() - 0.5) * tiltAmount;
-                dummy.rotation.z = (Math.random() - 0.5) * tiltAmount;
+                // Update instance matrix and colors
+                grassInstancedMesh.instanceMatrix.needsUpdate = true;
+                if (grassInstancedMesh.instanceColor) {
+                    grassInstancedMesh.instanceColor.needsUpdate = true;
+                }
                 
-                // Apply instance transform
-                dummy.updateMatrix();
-                grassInstancedMesh.setMatrixAt(i, dummy.matrix);
+                // Add to scene
+                parent.add(grassInstancedMesh);
                 
-                // Apply random color variation - but check if mesh supports color first
-                if (typeof grassInstancedMesh.setColorAt === 'function') {
-                    const colorVar = 0.2; // More color variation
-                    const baseColor = new THREE.Color(0x91e56e);
-                    const randomColor = baseColor.clone().offsetHSL(
-                        (Math.random() - 0.5) * 0.05,
-                        (Math.random() - 0.5) * colorVar,
-                        (Math.random() - 0.3) * colorVar // Bias toward slightly brighter
-                    );
-                    try {
-                        grassInstancedMesh.setColorAt(i, randomColor);
-                    } catch (e) {
-                        // If setting color fails, we'll just continue without colors
-                        console.warn("Could not set instance color - continuing without color variation");
-                        break; // Don't try to set more colors
-                    }
-                }
-            }
-            
-            // Update instance matrix and colors
-            grassInstancedMesh.instanceMatrix.needsUpdate = true;
-            if (grassInstancedMesh.instanceColor) {
-                grassInstancedMesh.instanceColor.needsUpdate = true;
+                // Store reference to grass with its parent terrain
+                this.grassInstances.push({
+                    mesh: grassInstancedMesh,
+                    terrain: terrain,
+                    count: grassCount
+                });
+            } catch (error) {
+                console.error("Error adding grass to terrain:", error);
+                // Silently fail - terrain will just have no grass
             }
-            
-            // Add to scene
-            this.scene.add(grassInstancedMesh);
-            
-            // Store reference to grass with its parent terrain
-            this.grassInstances.push({
-                mesh: grassInstancedMesh,
-                terrain: terrain,
-                count: grassCount
-            });
-        } catch (error) {
-            console.error("Error adding grass to terrain:", error);
-            // Silently fail - terrain will just have no grass
-        }
+        });
     }
 
     createNaturalRiver() {
         try {
             this.logDebug('Creating infinite winding river');
             
-            // Create a much longer river for infinite scrolling effect
-            const riverWidth = 3;
-            const riverLength = 200; // Much longer river
-            const segments = 64; // More segments for smoother curves
-            
-            // Create a curved river surface using custom geometry
-            const waterGeometry = new THREE.PlaneGeometry(riverWidth, riverLength, segments, segments);
-            const positions = waterGeometry.attributes.position.array;
-            
-            // Apply winding curve to the river shape
-            for (let i = 0; i < positions.length; i += 3) {
-                const vertexIndex = i / 3;
-                const y = positions[i + 1]; // This is the z-coord before rotation
-                
-                // Apply sine wave curve with increasing frequency for natural look
-                const curveOffset = this.getRiverCurveOffset(y);
-                positions[i] += curveOffset; // Add curve to x position
-            }
-            
-            // Update geometry
-            waterGeometry.attributes.position.needsUpdate = true;
-            waterGeometry.computeVertexNormals();
-            
-            const waterMaterial = new THREE.MeshStandardMaterial({
-                color: 0x0066aa,
-                metalness: 0.9,
-                roughness: 0.1,
-                transparent: true,
-                opacity: 0.8
-            });
-            
-            this.river = new THREE.Mesh(waterGeometry, waterMaterial);
-            this.river.rotation.x = -Math.PI / 2;
-            this.river.position.y = -0.4; // Slightly below ground
-            this.river.position.z = 0;
-            
-            this.scene.add(this.river);
-            
-            // Create natural riverbanks without blocky shapes
-            this.createNaturalRiverbanks(riverLength);
+            // One water material shared by every river segment
+            this.waterMaterial = this.createRiverMaterial(this.riverWidth);
             
-            // Add riverbank details for better transition
-            this.addEnhancedRiverbankDetails();
+            // Build the segments around the camera; the rest stream in as it moves
+            this.updateRiverStreaming(true);
             
             // Add foam particles along the curved river
             this.createInfiniteWaterFoamParticles();
@@ -810,583 +1422,520 @@ class Scene3D {
         }
     }
     
-    createNaturalRiverbanks(riverLength) {
-        // Replace the previous riverbank generation with more natural terrain
-        const segments = 40; // Number of segments along the river
+    updateRiverStreaming(force = false) {
+        // Keep river segments generated ahead of and behind the camera, recycling the rest
+        const centerIndex = Math.floor(this.camera.position.z / this.riverSegmentLength);
+        if (!force && centerIndex === this.lastRiverSegment) return;
+        this.lastRiverSegment = centerIndex;
         
-        // Create natural embankments on both sides with terrain-like features
-        [-1, 1].forEach(side => {
-            for (let i = 0; i < segments; i++) {
-                // Position along the river
-                const zPos = (i / segments) * riverLength - riverLength / 2;
-                const nextZPos = ((i + 1) / segments) * riverLength - riverLength / 2;
-                
-                // Get curve offset at this position
-                const curveOffset = this.getRiverCurveOffset(zPos);
-                
-                // Create natural embankment terrain instead of a block
-                this.createRiverbankTerrain(side, zPos, curveOffset, nextZPos - zPos);
+        const reach = Math.ceil(this.visibleRadius / this.riverSegmentLength);
+        
+        for (let index = centerIndex - reach; index <= centerIndex + reach; index++) {
+            if (!this.riverSegments.has(index)) {
+                this.createRiverSegment(index);
+            }
+        }
+        
+        // One segment of slack so moving back and forth over a boundary doesn't rebuild
+        Array.from(this.riverSegments.keys()).forEach((index) => {
+            if (Math.abs(index - centerIndex) > reach + 1) {
+                this.removeRiverSegment(index);
             }
         });
     }
     
-    createRiverbankTerrain(side, zPos, curveOffset, segmentLength) {
-        // Create a natural terrain-like riverbank instead of a block
-        // Parameters for the natural shape
-        const bankWidth = 1.5 + Math.random() * 0.5;
-        
-        // Calculate the exact river edge position - this is critical for proper alignment
-        const riverWidth = 3; // Must match the riverWidth from createNaturalRiver
-        const riverHalfWidth = riverWidth / 2;
-        
-        // Position calculation - ensure we start exactly at river edge
-        const innerEdgeX = side * (riverHalfWidth + curveOffset * 0.5);
-        const centerX = innerEdgeX + side * (bankWidth / 2);
-        
-        // Adjust the bank height to blend more naturally with river
-        const bankHeight = 0.1 + Math.random() * 0.15;
-        
-        // Use terrain-like geometries for riverbanks
-        const terrainType = Math.floor(Math.random() * 2);
-        let bankGeometry;
-        
-        // Create more organic shapes for the riverbank
-        if (terrainType === 0) {
-            // Stretched hemisphere for rounded bank
-            bankGeometry = new THREE.SphereGeometry(1, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
-            bankGeometry.scale(bankWidth, bankHeight, segmentLength * 1.2);
-        } else {
-            // Custom displacement geometry for more varied bank
-            bankGeometry = new THREE.PlaneGeometry(bankWidth * 2, segmentLength * 2, 6, 4);
-            bankGeometry.rotateX(-Math.PI / 2);
-            
-            // Add some random displacement for natural terrain feel
-            const positionAttr = bankGeometry.attributes.position;
-            for (let i = 0; i < positionAttr.count; i++) {
-                const x = positionAttr.getX(i);
-                const y = positionAttr.getY(i);
-                
-                // Only displace points not at the river edge
-                if ((side < 0 && x > -bankWidth * 0.8) || (side > 0 && x < bankWidth * 0.8)) {
-                    // Add random height variation - more at the outer edges
-                    const distFromEdge = Math.abs(x) / bankWidth;
-                    const heightMult = Math.pow(distFromEdge, 1.5); // More height further from river
-                    
-                    positionAttr.setZ(i, positionAttr.getZ(i) + 
-                        heightMult * bankHeight * (0.7 + Math.random() * 0.5));
-                }
+    createRiverSegment(index) {
+        // Each segment has its own random stream, so it looks the same whenever it's rebuilt
+        this.withRandomStream(hashSeed(this.seed, 'river', index), () => {
+            const segmentLength = this.riverSegmentLength;
+            const startZ = index * segmentLength;
+            
+            const group = new THREE.Group();
+            group.name = `river-segment-${index}`;
+            
+            // Water surface, bent along the river curve in world space so neighbouring segments meet exactly
+            const waterGeometry = new THREE.PlaneGeometry(this.riverWidth, segmentLength, 8, 8);
+            waterGeometry.rotateX(-Math.PI / 2);
+            const positions = waterGeometry.attributes.position.array;
+            for (let i = 0; i < positions.length; i += 3) {
+                const z = positions[i + 2] + startZ + segmentLength / 2;
+                positions[i] += this.getRiverCurveOffset(z);
+                positions[i + 2] = z;
             }
+            waterGeometry.attributes.position.needsUpdate = true;
+            waterGeometry.computeVertexNormals();
+            waterGeometry.computeBoundingSphere();
             
-            // Update the geometry after displacement
-            bankGeometry.computeVertexNormals();
-        }
-        
-        // Create material that better matches the terrain
-        const bankMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x2d5a29,
-            roughness: 0.9,
-            metalness: 0.1,
-            flatShading: true, // Gives a more natural terrain look
+            const water = new THREE.Mesh(waterGeometry, this.waterMaterial);
+            water.position.y = WATER_LEVEL; // The carved banks rise out of it
+            group.add(water);
+            
+            // Create natural riverbanks without blocky shapes
+            this.createNaturalRiverbanks(startZ, segmentLength, group);
+            
+            // Add riverbank details for better transition
+            this.addEnhancedRiverbankDetails(startZ, segmentLength, group);
+            
+            this.flushInstanceBatches(group);
+            this.scene.add(group);
+            this.riverSegments.set(index, { group, water });
         });
+    }
+    
+    removeRiverSegment(index) {
+        const segment = this.riverSegments.get(index);
+        if (!segment) return;
+        this.riverSegments.delete(index);
         
-        const bank = new THREE.Mesh(bankGeometry, bankMaterial);
-        
-        // Position the bank to blend with the river - ensure proper y position to avoid floating
-        bank.position.set(centerX, -0.45, zPos + segmentLength / 2);
-        
-        // Set proper shadows
-        bank.receiveShadow = true;
-        bank.castShadow = true;
+        this.removeWorldGroup(segment.group);
+    }
+    
+    createRiverMaterial(riverWidth) {
+        // Plain material on low tiers; animated shader water otherwise
+        let material;
+        if (!this.quality.waterShader) {
+            material = new THREE.MeshStandardMaterial({
+                color: this.palette.waterFallback,
+                metalness: 0.9,
+                roughness: 0.1,
+                transparent: true,
+                opacity: 0.8
+            });
+        } else {
+            if (!this.waterNormalMap) {
+                this.waterNormalMap = createWaterNormalTexture();
+            }
+            material = createWaterMaterial({ riverWidth, normalMap: this.waterNormalMap });
+        }
         
-        this.scene.add(bank);
+        this.applyWaterPalette(material);
+        return material;
+    }
+    
+    applyWaterPalette(material) {
+        // Water tint and ice for the current season
+        const palette = this.palette;
+        if (!material.isShaderMaterial) {
+            // The plain material shimmers around this colour in updateWater, unless it's frozen
+            material.color.setHex(palette.frozen > 0 ? palette.iceColor : palette.waterFallback);
+            material.opacity = palette.frozen > 0 ? 1 : 0.8;
+            return;
+        }
         
-        // Add some grass on the riverbank for a more natural blend
-        if (Math.random() > 0.6) {
-            // Create natural vegetation patches 
-            this.createTerrainFeatures(
-                centerX + side * (Math.random() * 0.3),
-                bankHeight * 0.5 - 0.4,
-                zPos + segmentLength * (Math.random() * 0.8),
-                0.2 + Math.random() * 0.3, // Small scale
-                true // Is riverbank
-            );
+        const uniforms = material.uniforms;
+        uniforms.uShallowColor.value.setHex(palette.waterShallow);
+        uniforms.uDeepColor.value.setHex(palette.waterDeep);
+        uniforms.uFrozen.value = palette.frozen;
+        if (palette.iceColor !== undefined) {
+            uniforms.uIceColor.value.setHex(palette.iceColor);
         }
     }
     
-    createTerrainFeatures(x, y, z, scale, isRiverbank = false) {
-        // Create small terrain features to enhance the riverbank
-        const color = isRiverbank ? 0x3a7a35 : 0x2d5a29; // Greener near water
-        
-        // Create a small terrain feature
-        const geometry = new THREE.SphereGeometry(1, 6, 4, 0, Math.PI * 2, 0, Math.PI / 2);
+    updateWater(elapsedTime) {
+        const material = this.waterMaterial;
+        if (!material) return;
         
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            roughness: 0.9,
-            metalness: 0.1,
-            flatShading: true
-        });
-        
-        const feature = new THREE.Mesh(geometry, material);
-        
-        // Scale and position the feature
-        const yScale = scale * 0.3; // Flatter
-        feature.scale.set(scale, yScale, scale);
-        feature.position.set(x, y, z);
-        feature.rotation.y = Math.random() * Math.PI * 2;
+        if (!material.isShaderMaterial) {
+            if (this.palette.frozen > 0) return; // Ice doesn't shimmer
+            
+            // Make water shimmer slightly with more varied pattern
+            const base = this.waterFallbackHSL;
+            const hue = base.h + Math.sin(elapsedTime * 0.5) * 0.02 + Math.sin(elapsedTime * 0.2) * 0.01;
+            material.color.setHSL(hue, base.s, base.l);
+            return;
+        }
         
-        // Add shadows
-        feature.castShadow = true;
-        feature.receiveShadow = true;
+        const uniforms = material.uniforms;
+        uniforms.uTime.value = elapsedTime;
+        
+        // Sky colours and glint follow the time of day; the moon takes over the glint at night
+        const sky = this.skyState;
+        uniforms.uSkyColor.value.copy(sky.skyTop);
+        uniforms.uHorizonColor.value.copy(sky.skyHorizon);
+        uniforms.uReflectivity.value = sky.reflectivity;
+        uniforms.uRain.value = this.weather.params.rain;
+        if (this.sunDirection.y > 0) {
+            uniforms.uSunDirection.value.copy(this.sunDirection);
+            uniforms.uSunColor.value.copy(sky.sun).multiplyScalar(sky.sunIntensity);
+        } else {
+            uniforms.uSunDirection.value.copy(this.moonDirection);
+            uniforms.uSunColor.value.copy(this.moonLight.color).multiplyScalar(sky.moonIntensity * 2);
+        }
         
-        this.scene.add(feature);
+        // Reflect the flamingo while it's in the air above the river
+        if (this.flamingo) {
+            uniforms.uReflectorPosition.value.copy(this.flamingo.position);
+            uniforms.uReflectorStrength.value = 1;
+        } else {
+            uniforms.uReflectorStrength.value = 0;
+        }
+    }
+    
+    createNaturalRiverbanks(startZ, length, parent = this.scene) {
+        // The banks themselves are carved into the heightfield; this plants them
+        const bankSegmentLength = 5; // Length of each bank piece along the river
+        const segments = Math.round(length / bankSegmentLength);
         
-        // Add grass on this feature
-        if (isRiverbank) {
-            this.addGrassToTerrain(feature, scale, true);
+        [-1, 1].forEach(side => {
+            for (let i = 0; i < segments; i++) {
+                // Position along the river
+                const zPos = startZ + (i / segments) * length;
+                const nextZPos = startZ + ((i + 1) / segments) * length;
+                
+                // Get curve offset at this position
+                const curveOffset = this.getRiverCurveOffset(zPos);
+                
+                this.createRiverbankTerrain(side, zPos, curveOffset, nextZPos - zPos, parent);
+            }
+        });
+    }
+    
+    createRiverbankTerrain(side, zPos, curveOffset, segmentLength, parent = this.scene) {
+        // Some stretches of bank get a patch of grass and reeds just above the water
+        const bankWidth = 1.5 + this.random() * 0.5;
+        
+        if (this.random() > 0.6) {
+            const x = curveOffset + side * (this.riverWidth / 2 + 0.4 + this.random() * bankWidth * 0.3);
+            const z = zPos + segmentLength * (this.random() * 0.8);
+            this.createTerrainFeatures(x, z, 0.2 + this.random() * 0.3, parent); // Small scale
         }
+    }
+    
+    createTerrainFeatures(x, z, scale, parent = this.scene) {
+        // A riverbank patch: dense grass and sometimes reeds, on the ground of the bank
+        const feature = new THREE.Object3D();
+        feature.scale.set(scale, scale * 0.3, scale);
+        feature.position.set(x, this.getHeightAt(x, z), z);
+        
+        this.addGrassToTerrain(feature, scale, true, parent);
         
-        // Add some vegetation if on riverbank
-        if (isRiverbank && Math.random() > 0.5) {
-            this.addRiverbankVegetation(x, y, z, scale);
+        if (this.random() > 0.5) {
+            this.addRiverbankVegetation(x, z, scale, parent);
         }
         
         return feature;
     }
     
-    addRiverbankVegetation(x, y, z, scale) {
+    addRiverbankVegetation(x, z, scale, parent = this.scene) {
         // Add vegetation suitable for riverbanks (reeds, water plants)
-        const plantCount = Math.floor(2 + Math.random() * 3);
+        const plantCount = Math.floor(2 + this.random() * 3);
         
         for (let i = 0; i < plantCount; i++) {
             // Random offset
-            const offsetX = (Math.random() - 0.5) * scale;
-            const offsetZ = (Math.random() - 0.5) * scale;
+            const offsetX = (this.random() - 0.5) * scale;
+            const offsetZ = (this.random() - 0.5) * scale;
             
             // Create water-friendly vegetation
-            const height = 0.2 + Math.random() * 0.3;
-            const width = 0.05 + Math.random() * 0.02;
-            
-            // Reed-like geometry for water plants
-            const geometry = new THREE.CylinderGeometry(
-                width/5, // Top radius (tapered)
-                width, // Bottom radius
-                height, // Height
-                4, // Segments
-                2 // Height segments
-            );
-            
-            // Green-brown material for reeds
-            const material = new THREE.MeshStandardMaterial({
-                color: 0x6a8d4a,
-                roughness: 0.9,
-                metalness: 0.0,
-                flatShading: true
-            });
+            const height = 0.2 + this.random() * 0.3;
+            const width = 0.05 + this.random() * 0.02;
             
-            const reed = new THREE.Mesh(geometry, material);
-            reed.position.set(x + offsetX, y + height/2, z + offsetZ);
+            // Reed-like shape for water plants - a tapered unit cylinder scaled to size
+            const reed = new THREE.Object3D();
+            reed.scale.set(width, height, width);
+            const reedX = x + offsetX;
+            const reedZ = z + offsetZ;
+            reed.position.set(reedX, this.getSurfaceHeightAt(reedX, reedZ) + height / 2, reedZ);
             
             // Random angle for naturalistic look
             reed.rotation.set(
-                (Math.random() - 0.5) * 0.3,
-                Math.random() * Math.PI * 2,
-                (Math.random() - 0.5) * 0.3
+                (this.random() - 0.5) * 0.3,
+                this.random() * Math.PI * 2,
+                (this.random() - 0.5) * 0.3
             );
             
-            reed.castShadow = true;
-            this.scene.add(reed);
+            // Green-brown reeds
+            this.getInstanceBatcher(parent).add('reed-bank', reed, this.palette.reed);
         }
     }
     
-    // Add missing method for creating water foam particles
     createInfiniteWaterFoamParticles() {
         try {
-            // Create a large number of foam particles for the infinite river
-            const foamCount = 800; // Many particles for better coverage
-            const foamGeometry = new THREE.BufferGeometry();
-            const foamPositions = new Float32Array(foamCount * 3);
-            
-            // Get river dimensions for proper particle placement
-            const riverWidth = 3;
-            const riverHalfWidth = riverWidth / 2 * 0.9; // Slightly less than half to keep particles inside
-            
-            // Distribute foam particles along the river
-            for (let i = 0; i < foamCount * 3; i += 3) {
-                // Random position along river length
-                const z = Math.random() * 200 - 100; // Cover the entire longer river
-                
-                // Get river curve at this position
-                const curveOffset = this.getRiverCurveOffset(z);
-                
-                // Position foam particles on water surface - constrained within river width
-                // Calculate random offset but constrain to river width
-                const widthOffset = (Math.random() - 0.5) * riverHalfWidth * 2;
-                
-                foamPositions[i] = curveOffset + widthOffset; // x - follow river curve but stay within bounds
-                foamPositions[i+1] = -0.38; // y - just above water
-                foamPositions[i+2] = z; // z - along river length
-            }
-            
-            // Set geometry attributes
-            foamGeometry.setAttribute('position', new THREE.BufferAttribute(foamPositions, 3));
-            
-            // Create foam material
-            const foamMaterial = new THREE.PointsMaterial({
-                color: 0xffffff,
-                size: 0.15,
-                transparent: true,
-                opacity: 0.7,
-                map: this.createCircleTexture(32, '#ffffff'),
-                depthWrite: false,
-                blending: THREE.AdditiveBlending
-            });
+            const options = {
+                count: this.quality.foamCount,
+                riverHalfWidth: this.riverWidth / 2 * 0.9, // Slightly less than half to keep particles inside
+                riverCurve: z => this.getRiverCurveOffset(z),
+                range: this.foamRange,
+                cameraZ: this.camera.position.z,
+                random: this.random
+            };
             
-            // Create foam particle system
-            this.waterFoam = new THREE.Points(foamGeometry, foamMaterial);
-            this.scene.add(this.waterFoam);
+            // Foam is advected along the river on the GPU, so the count only costs GPU time.
+            // Without float render targets fewer particles are moved on the CPU instead
+            if (supportsGpuFoam(this.renderer)) {
+                try {
+                    this.waterFoam = new FoamSimulation(this.renderer, options);
+                } catch (error) {
+                    console.error('Error creating GPU water foam:', error);
+                    this.logDebug('ERROR creating GPU water foam: ' + error.message);
+                }
+            }
+            const onCpu = !this.waterFoam;
+            if (onCpu) {
+                this.waterFoam = new CpuFoamSimulation(this.renderer, options);
+            }
+            this.waterFoam.points.visible = this.palette.frozen === 0;
+            this.scene.add(this.waterFoam.points);
             
-            this.logDebug('Water foam particles created');
+            this.logDebug(`Water foam particles created (${this.waterFoam.count}${onCpu ? ' on the CPU' : ''})`);
         } catch (error) {
             console.error('Error creating water foam:', error);
             this.logDebug('ERROR creating water foam: ' + error.message);
         }
     }
     
-    addEnhancedRiverbankDetails() {
+    addEnhancedRiverbankDetails(startZ, length, parent = this.scene) {
         // Add more natural details along riverbanks (expanded from addRiverbankDetails)
-        const riverLength = 40; // Increase detail area
-        const detailsCount = 100; // More details
-        
-        // Create different materials for details
-        const pebblesMatDark = new THREE.MeshStandardMaterial({
-            color: 0x555555,
-            roughness: 0.9,
-            metalness: 0.1
-        });
+        const detailsCount = Math.round(length * 2.5); // Details per unit of river length
         
-        const pebblesMatLight = new THREE.MeshStandardMaterial({
-            color: 0x888888,
-            roughness: 0.8,
-            metalness: 0.2
-        });
-        
-        const sandMat = new THREE.MeshStandardMaterial({
-            color: 0xd2c49a,
-            roughness: 1.0,
-            metalness: 0.0
-        });
-        
-        const mudMat = new THREE.MeshStandardMaterial({
-            color: 0x5c4e3b,
-            roughness: 1.0,
-            metalness: 0.0
-        });
+        // Colours for the details; the shared instance materials are tinted per instance
+        const pebbleDark = 0x555555;
+        const pebbleLight = 0x888888;
+        const sandColor = 0xd2c49a;
+        const mudColor = 0x5c4e3b;
         
         // Add random details on both sides
         for (let i = 0; i < detailsCount; i++) {
             const side = i % 2 === 0 ? -1 : 1;
-            const z = (Math.random() - 0.5) * riverLength;
+            const z = startZ + this.random() * length;
             const curveOffset = this.getRiverCurveOffset(z);
             
             // Position close to water edge with more variation
-            const edgeDistance = 1.5 + curveOffset * 0.5;
-            const x = side * (edgeDistance + Math.random() * 0.6 - 0.2); // Allow some to be in the water
+            const edgeDistance = this.riverWidth / 2;
+            const x = curveOffset + side * (edgeDistance + this.random() * 0.6 - 0.2); // Allow some to be in the water
             
             // Choose detail type with more variety
-            const detailType = Math.random();
+            const detailType = this.random();
             
             if (detailType > 0.8) {
                 // Pebble cluster
-                this.createPebbleCluster(x, z, pebblesMatDark, pebblesMatLight);
+                this.createPebbleCluster(x, z, pebbleDark, pebbleLight, parent);
             } else if (detailType > 0.6) {
                 // Sand patch
-                this.createSandPatch(x, z, sandMat);
+                this.createSandPatch(x, z, sandColor, parent);
             } else if (detailType > 0.4) {
                 // Mud patch at water's edge
-                this.createMudPatch(x, z, mudMat);
+                this.createMudPatch(x, z, mudColor, parent);
             } else if (detailType > 0.2) {
                 // Water plants
-                this.createWaterPlants(x, z);
+                this.createWaterPlants(x, z, parent);
             } else {
                 // Single pebble
-                this.createPebble(x, z, pebblesMatDark);
+                this.createPebble(x, z, pebbleDark, parent);
             }
         }
     }
     
-    createMudPatch(x, z, material) {
+    createMudPatch(x, z, color, parent = this.scene) {
         // Create a mud patch that blends into the water
-        const patchSize = 0.2 + Math.random() * 0.4;
-        const geometry = new THREE.CircleGeometry(patchSize, 8);
-        
-        const mudPatch = new THREE.Mesh(geometry, material);
-        mudPatch.rotation.x = -Math.PI / 2;
-        mudPatch.position.set(x, -0.39, z);
+        const patchSize = 0.2 + this.random() * 0.4;
+        const batcher = this.getInstanceBatcher(parent);
         
-        mudPatch.receiveShadow = true;
-        this.scene.add(mudPatch);
+        const surfaceY = this.getSurfaceHeightAt(x, z) + 0.01;
+        const mudPatch = new THREE.Object3D();
+        mudPatch.scale.setScalar(patchSize);
+        mudPatch.position.set(x, surfaceY, z);
+        batcher.add('ground-patch', mudPatch, color);
         
         // Create some bubbles or detailed texture on the mud
-        if (Math.random() > 0.5) {
-            const bubbleCount = Math.floor(Math.random() * 5) + 1;
+        if (this.random() > 0.5) {
+            const bubbleCount = Math.floor(this.random() * 5) + 1;
             
             for (let i = 0; i < bubbleCount; i++) {
-                const bubbleSize = 0.02 + Math.random() * 0.01;
-                const bubbleGeometry = new THREE.SphereGeometry(bubbleSize, 4, 4);
-                const bubbleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x6c5b4b,
-                    roughness: 0.5,
-                    metalness: 0.2
-                });
-                
-                const bubble = new THREE.Mesh(bubbleGeometry, bubbleMaterial);
+                const bubbleSize = 0.02 + this.random() * 0.01;
+                const bubble = new THREE.Object3D();
+                bubble.scale.setScalar(bubbleSize);
                 
                 // Position on the mud patch
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * patchSize * 0.8;
+                const angle = this.random() * Math.PI * 2;
+                const distance = this.random() * patchSize * 0.8;
                 
                 bubble.position.set(
                     x + Math.cos(angle) * distance,
-                    -0.39 + bubbleSize * 0.5,
+                    surfaceY + bubbleSize * 0.5,
                     z + Math.sin(angle) * distance
                 );
                 
-                this.scene.add(bubble);
+                batcher.add('mud-bubble', bubble, 0x6c5b4b);
             }
         }
     }
     
-    createWaterPlants(x, z) {
+    createWaterPlants(x, z, parent = this.scene) {
         // Create water plants (lilies, reeds, etc.)
-        const plantType = Math.random();
+        const plantType = this.random();
         
         if (plantType > 0.6) {
             // Lily pad
-            this.createLilyPad(x, z);
+            this.createLilyPad(x, z, parent);
         } else {
             // Reed cluster
-            this.createReedCluster(x, z);
+            this.createReedCluster(x, z, parent);
         }
     }
     
-    createLilyPad(x, z) {
+    createLilyPad(x, z, parent = this.scene) {
         // Create a lily pad floating on water
-        const padSize = 0.1 + Math.random() * 0.15;
-        const padGeometry = new THREE.CircleGeometry(padSize, 8);
-        const padMaterial = new THREE.MeshStandardMaterial({
-            color: 0x1a6b34,
-            roughness: 0.7,
-            metalness: 0.1,
-            side: THREE.DoubleSide
-        });
-        
-        const lilyPad = new THREE.Mesh(padGeometry, padMaterial);
-        lilyPad.rotation.x = -Math.PI / 2;
-        lilyPad.position.set(x, -0.35, z); // Slightly above water
+        const padSize = 0.1 + this.random() * 0.15;
+        const batcher = this.getInstanceBatcher(parent);
         
-        this.scene.add(lilyPad);
+        const lilyPad = new THREE.Object3D();
+        lilyPad.scale.setScalar(padSize);
+        lilyPad.position.set(x, this.getSurfaceHeightAt(x, z) + 0.05, z); // Slightly above water
+        batcher.add('lily-pad', lilyPad, this.palette.lilyPad);
         
         // Sometimes add a flower
-        if (Math.random() > 0.6) {
-            const flowerGeometry = new THREE.SphereGeometry(padSize * 0.2, 8, 6);
-            const flowerMaterial = new THREE.MeshStandardMaterial({
-                color: 0xffffff,
-                emissive: 0x443333,
-                roughness: 0.5,
-                metalness: 0.1
-            });
-            
-            const flower = new THREE.Mesh(flowerGeometry, flowerMaterial);
-            flower.position.set(x, -0.3, z);
-            
-            this.scene.add(flower);
+        if (this.random() > 0.6) {
+            const flower = new THREE.Object3D();
+            flower.scale.setScalar(padSize * 0.2);
+            flower.position.set(x, lilyPad.position.y + 0.05, z);
+            batcher.add('lily-flower', flower, this.palette.lilyFlower);
         }
     }
     
-    createReedCluster(x, z) {
+    createReedCluster(x, z, parent = this.scene) {
         // Create a cluster of reeds coming out of the water
-        const reedCount = Math.floor(Math.random() * 4) + 2;
+        const reedCount = Math.floor(this.random() * 4) + 2;
         const clusterRadius = 0.1;
         
         for (let i = 0; i < reedCount; i++) {
-            const height = 0.3 + Math.random() * 0.4;
-            const width = 0.02 + Math.random() * 0.01;
-            
-            // Reed geometry (thin cylinder)
-            const reedGeometry = new THREE.CylinderGeometry(
-                width/4, width, height, 4, 2
-            );
-            
-            const reedMaterial = new THREE.MeshStandardMaterial({
-                color: 0x6a8d4a, // Green-brown
-                roughness: 0.9,
-                metalness: 0.0
-            });
+            const height = 0.3 + this.random() * 0.4;
+            const width = 0.02 + this.random() * 0.01;
             
-            const reed = new THREE.Mesh(reedGeometry, reedMaterial);
+            // Reed shape (thin tapered cylinder)
+            const reed = new THREE.Object3D();
+            reed.scale.set(width, height, width);
             
             // Position in cluster
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * clusterRadius;
+            const angle = this.random() * Math.PI * 2;
+            const distance = this.random() * clusterRadius;
             
-            reed.position.set(
-                x + Math.cos(angle) * distance,
-                -0.4 + height / 2, // Half in water
-                z + Math.sin(angle) * distance
-            );
+            const reedX = x + Math.cos(angle) * distance;
+            const reedZ = z + Math.sin(angle) * distance;
+            reed.position.set(reedX, this.getSurfaceHeightAt(reedX, reedZ) + height / 2, reedZ); // Half in water
             
             // Slight random tilt
             reed.rotation.set(
-                (Math.random() - 0.5) * 0.3,
-                Math.random() * Math.PI * 2,
-                (Math.random() - 0.5) * 0.3
+                (this.random() - 0.5) * 0.3,
+                this.random() * Math.PI * 2,
+                (this.random() - 0.5) * 0.3
             );
             
-            reed.castShadow = true;
-            this.scene.add(reed);
+            this.getInstanceBatcher(parent).add('reed', reed, this.palette.reed);
         }
     }
     
-    createPebbleCluster(x, z, darkMaterial, lightMaterial) {
+    createPebbleCluster(x, z, darkColor, lightColor, parent = this.scene) {
         // Create a cluster of small pebbles along the riverbank
-        const pebbleCount = Math.floor(Math.random() * 7) + 3;
+        const pebbleCount = Math.floor(this.random() * 7) + 3;
         const clusterRadius = 0.15;
         
         for (let i = 0; i < pebbleCount; i++) {
             // Random position in cluster
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * clusterRadius;
+            const angle = this.random() * Math.PI * 2;
+            const distance = this.random() * clusterRadius;
             const pebbleX = x + Math.cos(angle) * distance;
             const pebbleZ = z + Math.sin(angle) * distance;
             
             // Random size for pebble
-            const size = 0.02 + Math.random() * 0.04;
+            const size = 0.02 + this.random() * 0.04;
             
             // Create pebble with random shape
-            const geometry = Math.random() > 0.5 ? 
-                new THREE.DodecahedronGeometry(size, 0) : 
-                new THREE.SphereGeometry(size, 4, 3);
+            const type = this.random() > 0.5 ? 'pebble-dodeca' : 'pebble-round';
             
-            // Use dark or light material randomly
-            const material = Math.random() > 0.7 ? lightMaterial : darkMaterial;
+            // Use dark or light colour randomly
+            const color = this.random() > 0.7 ? lightColor : darkColor;
             
-            const pebble = new THREE.Mesh(geometry, material);
+            const pebble = new THREE.Object3D();
+            pebble.scale.setScalar(size);
             
             // Position slightly embedded in ground
-            pebble.position.set(pebbleX, -0.39 + size * 0.3, pebbleZ);
+            pebble.position.set(pebbleX, this.getSurfaceHeightAt(pebbleX, pebbleZ) + size * 0.3, pebbleZ);
             
             // Random rotation
             pebble.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
+                this.random() * Math.PI,
+                this.random() * Math.PI,
+                this.random() * Math.PI
             );
             
-            pebble.castShadow = true;
-            pebble.receiveShadow = true;
-            
-            this.scene.add(pebble);
+            this.getInstanceBatcher(parent).add(type, pebble, color);
         }
     }
     
-    createSandPatch(x, z, material) {
+    createSandPatch(x, z, color, parent = this.scene) {
         // Create a sand patch along the riverbank
-        const patchSize = 0.25 + Math.random() * 0.4;
-        const geometry = new THREE.CircleGeometry(patchSize, 8);
-        
-        const sandPatch = new THREE.Mesh(geometry, material);
-        sandPatch.rotation.x = -Math.PI / 2;
-        sandPatch.position.set(x, -0.39, z);
+        const patchSize = 0.25 + this.random() * 0.4;
+        const batcher = this.getInstanceBatcher(parent);
         
-        sandPatch.receiveShadow = true;
-        this.scene.add(sandPatch);
+        const surfaceY = this.getSurfaceHeightAt(x, z) + 0.01;
+        const sandPatch = new THREE.Object3D();
+        sandPatch.scale.setScalar(patchSize);
+        sandPatch.position.set(x, surfaceY, z);
+        batcher.add('ground-patch', sandPatch, color);
         
         // Add some small ripples or patterns in the sand
-        if (Math.random() > 0.6) {
-            const rippleCount = Math.floor(Math.random() * 3) + 1;
+        if (this.random() > 0.6) {
+            const rippleCount = Math.floor(this.random() * 3) + 1;
             
             for (let i = 0; i < rippleCount; i++) {
                 // Create ripple pattern
-                const rippleSize = patchSize * (0.5 + Math.random() * 0.3);
-                const rippleGeometry = new THREE.RingGeometry(
-                    rippleSize * 0.7, 
-                    rippleSize, 
-                    8, 1
-                );
-                
-                const rippleMaterial = new THREE.MeshBasicMaterial({
-                    color: 0xc4b59a,
-                    side: THREE.DoubleSide,
-                    transparent: true,
-                    opacity: 0.3
-                });
-                
-                const ripple = new THREE.Mesh(rippleGeometry, rippleMaterial);
-                ripple.rotation.x = -Math.PI / 2;
+                const rippleSize = patchSize * (0.5 + this.random() * 0.3);
+                const ripple = new THREE.Object3D();
+                ripple.scale.setScalar(rippleSize);
                 
                 // Position ripple on sand patch with slight offset
                 ripple.position.set(
-                    x + (Math.random() - 0.5) * patchSize * 0.4,
-                    -0.389, // Slightly above sand
-                    z + (Math.random() - 0.5) * patchSize * 0.4
+                    x + (this.random() - 0.5) * patchSize * 0.4,
+                    surfaceY + 0.001, // Slightly above sand
+                    z + (this.random() - 0.5) * patchSize * 0.4
                 );
                 
-                this.scene.add(ripple);
+                batcher.add('sand-ripple', ripple, 0xc4b59a);
             }
         }
     }
     
-    createPebble(x, z, material) {
+    createPebble(x, z, color, parent = this.scene) {
         // Create a single pebble
-        const size = 0.03 + Math.random() * 0.05;
+        const size = 0.03 + this.random() * 0.05;
         
         // Randomly choose shape for variation
-        let geometry;
-        const shapeType = Math.random() * 3;
-        
-        switch(shapeType) {
-            case 0:
-                geometry = new THREE.SphereGeometry(size, 5, 4);
-                break;
-            case 1:
-                geometry = new THREE.DodecahedronGeometry(size, 0);
-                break;
-            case 2:
-            default:
-                geometry = new THREE.IcosahedronGeometry(size, 0);
-                break;
-        }
-        
-        const pebble = new THREE.Mesh(geometry, material);
-        
-        // Position with slight randomization
-        pebble.position.set(
-            x + (Math.random() - 0.5) * 0.1,
-            -0.39 + size * 0.3, // Partially embedded
-            z + (Math.random() - 0.5) * 0.1
-        );
+        const shapeType = Math.floor(this.random() * 3);
+        const type = ['pebble-smooth', 'pebble-dodeca', 'pebble-icosa'][shapeType];
+        
+        const pebble = new THREE.Object3D();
+        pebble.scale.setScalar(size);
+        
+        // Position with slight randomization, partially embedded
+        const pebbleX = x + (this.random() - 0.5) * 0.1;
+        const pebbleZ = z + (this.random() - 0.5) * 0.1;
+        pebble.position.set(pebbleX, this.getSurfaceHeightAt(pebbleX, pebbleZ) + size * 0.3, pebbleZ);
         
         // Random rotation
         pebble.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            this.random() * Math.PI,
+            this.random() * Math.PI,
+            this.random() * Math.PI
         );
         
-        pebble.castShadow = true;
-        pebble.receiveShadow = true;
-        
-        this.scene.add(pebble);
+        this.getInstanceBatcher(parent).add(type, pebble, color);
     }
 
     animate() {
-        requestAnimationFrame(this.animate.bind(this));
+        if (this.isDisposed) return;
+        this.animationFrameId = requestAnimationFrame(this.animate);
         
         try {
             const deltaTime = this.clock.getDelta();
             const elapsedTime = this.clock.getElapsedTime();
             
+            // Measure frame time and pick/adjust the quality tier
+            this.updateAdaptiveQuality(deltaTime);
+            
+            // Blend the weather, then move the sun and moon and recolour the sky
+            this.updateWeather(deltaTime, elapsedTime);
+            this.updateTimeOfDay(deltaTime);
+            
             // Animate existing elements
             if (this.model) {
                 this.model.rotation.y += 0.003;
@@ -1400,6 +1949,11 @@ class Scene3D {
                 this.flamingoMixer.update(deltaTime);
             }
             
+            if (this.flamingoBehaviour) {
+                this.flamingoBehaviour.update(deltaTime);
+                this.flamingoBehaviour.applyTo(this.flamingo, elapsedTime);
+            }
+            
             // Follow flamingo with camera if enabled - IMPROVED CAMERA FOLLOWING
             if (this.isFollowingFlamingo && this.flamingo) {
                 // More natural following with smoother transitions
@@ -1433,145 +1987,673 @@ class Scene3D {
                 this.camera.lookAt(smoothLookTarget);
             }
             
-            // Animate grass with subtle wind effect
-            this.animateGrass(elapsedTime);
+            // Stream terrain cells and river segments around the camera
+            this.updateTerrainStreaming();
+            this.updateRiverStreaming();
             
-            // Animate foam particles along the curved infinite river
-            if (this.waterFoam && this.waterFoam.geometry && this.waterFoam.geometry.attributes.position) {
-                const positions = this.waterFoam.geometry.attributes.position.array;
-                const riverWidth = 3;
-                const riverHalfWidth = riverWidth / 2 * 0.9; // Keep particles inside river bounds
-                
-                for (let i = 0; i < positions.length; i += 3) {
-                    // Store original position
-                    const oldZ = positions[i+2];
-                    
-                    // Move particles along the river (z-axis)
-                    positions[i+2] -= 0.05; // Speed of foam movement
-                    
-                    // Get current z
-                    const newZ = positions[i+2];
-                    
-                    // Update x position to follow the river curve as z changes
-                    const oldCurveOffset = this.getRiverCurveOffset(oldZ);
-                    const newCurveOffset = this.getRiverCurveOffset(newZ);
-                    positions[i] += (newCurveOffset - oldCurveOffset);
-                    
-                    // Add slight wobble but constrain to stay within river boundaries
-                    const wobble = Math.sin(elapsedTime * 2 + positions[i+2]) * 0.003;
-                    positions[i] += wobble;
-                    
-                    // Ensure particle stays within river bounds
-                    const distFromCenter = Math.abs(positions[i] - this.getRiverCurveOffset(positions[i+2]));
-                    if (distFromCenter > riverHalfWidth) {
-                        // Push back toward river center
-                        const direction = positions[i] > this.getRiverCurveOffset(positions[i+2]) ? -1 : 1;
-                        positions[i] = this.getRiverCurveOffset(positions[i+2]) + direction * riverHalfWidth;
-                    }
-                    
-                    // Reset particles that reach the end of visible area
-                    if (positions[i+2] < -100) {
-                        positions[i+2] = 100; // Much larger range for infinite effect
-                        // Reset x position based on the curve at the new z position with random offset within river
-                        const resetCurveOffset = this.getRiverCurveOffset(100);
-                        positions[i] = resetCurveOffset + (Math.random() - 0.5) * riverHalfWidth * 2;
-                    }
-                }
-                
-                this.waterFoam.geometry.attributes.position.needsUpdate = true;
-            }
+            // Keep the keyboard flag list in step with the flags in view
+            this.updateFlagNavigation(elapsedTime * 1000);
             
-            // Make water shimmer slightly with more varied pattern
-            if (this.river && this.river.material) {
-                const hue = 0.58 + Math.sin(elapsedTime * 0.5) * 0.02 + Math.sin(elapsedTime * 0.2) * 0.01;
-                this.river.material.color.setHSL(hue, 0.8, 0.5);
+            // Hover feedback for the flag under the pointer
+            this.updateFlagHover();
+            
+            // Grass sways in its vertex shader; only the clock needs advancing
+            this.windUniforms.uWindTime.value = elapsedTime;
+            
+            // Advect foam particles along the curved infinite river on the GPU (none on ice)
+            if (this.waterFoam && this.waterFoam.points.visible) {
+                this.waterFoam.update(deltaTime, elapsedTime, this.camera.position.z);
             }
             
+            // Scroll the water shader (or shimmer the low-tier fallback)
+            this.updateWater(elapsedTime);
+            
             this.controls.update();
+            this.clampControlsTarget();
             this.renderer.render(this.scene, this.camera);
+            
+            // Draw-call counts for the debug overlay
+            this.updateDebugStats(elapsedTime * 1000);
         } catch (error) {
             console.error('Error in animation loop:', error);
             this.logDebug('ERROR in animation: ' + error.message);
         }
     }
 
-    animateGrass(time) {
-        // Apply a subtle wind animation to grass instances
+    createSkyDome() {
+        // Procedural sky on a large sphere that follows the camera
+        const geometry = new THREE.SphereGeometry(450, 32, 16);
+        this.skyDome = new THREE.Mesh(geometry, createSkyMaterial());
+        this.skyDome.renderOrder = -1; // Behind everything else
+        this.skyDome.frustumCulled = false;
+        this.scene.add(this.skyDome);
+    }
+    
+    createStars() {
+        // Stars on the upper half of a sphere; they fade in at night
+        this.withRandomStream(hashSeed(this.seed, 'stars'), () => {
+            const starCount = 1500;
+            const positions = new Float32Array(starCount * 3);
+            const direction = new THREE.Vector3();
+            
+            for (let i = 0; i < starCount; i++) {
+                direction.set(this.random() * 2 - 1, this.random() * 0.95 + 0.05, this.random() * 2 - 1).normalize();
+                direction.multiplyScalar(400);
+                positions[i * 3] = direction.x;
+                positions[i * 3 + 1] = direction.y;
+                positions[i * 3 + 2] = direction.z;
+            }
+            
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            
+            const material = new THREE.PointsMaterial({
+                color: 0xffffff,
+                size: 2,
+                sizeAttenuation: false, // Size in pixels
+                map: this.createCircleTexture(16, '#ffffff'),
+                transparent: true,
+                opacity: 0,
+                depthWrite: false,
+                fog: false
+            });
+            
+            this.stars = new THREE.Points(geometry, material);
+            this.stars.frustumCulled = false;
+            this.stars.visible = false;
+            this.scene.add(this.stars);
+        });
+    }
+    
+    updateTimeOfDay(deltaTime) {
+        const hours = this.timeOfDay.update(deltaTime);
+        const sky = sampleSkyState(hours, this.skyState);
+        getSunDirection(hours, this.sunDirection);
+        this.moonDirection.copy(this.sunDirection).negate();
+        
+        // The theme tints the palette before anything uses it, so sky, fog and water agree
+        if (this.skyTheme.tintStrength > 0) {
+            sky.skyTop.lerp(this.skyThemeColors.top, this.skyTheme.tintStrength);
+            sky.skyHorizon.lerp(this.skyThemeColors.horizon, this.skyTheme.tintStrength);
+        }
+        
+        // So does the season, e.g. the paler, colder winter sky
+        if (this.palette.skyTint > 0) {
+            sky.skyTop.lerp(this.seasonSkyColors.top, this.palette.skyTint);
+            sky.skyHorizon.lerp(this.seasonSkyColors.horizon, this.palette.skyTint);
+        }
+        
+        // Bad weather greys out the sky (darker at night, like the rest of the palette) and dims the sun
+        const weather = this.weather.params;
+        if (weather.skyDarken > 0) {
+            const overcast = this.scratchColor.copy(OVERCAST_SKY_COLOR).multiplyScalar(sky.ambientIntensity * 2);
+            sky.skyTop.lerp(overcast, weather.skyDarken);
+            sky.skyHorizon.lerp(overcast, weather.skyDarken);
+            sky.sunIntensity *= 1 - weather.sunDim;
+        }
+        
+        // Sky, fog and background share the horizon colour so distant terrain fades into the sky
+        this.scene.fog.color.copy(sky.skyHorizon);
+        this.scene.background.copy(sky.skyHorizon);
+        if (this.skyDome) {
+            this.updateSkyDome(deltaTime);
+        }
+        if (this.stars) {
+            this.stars.position.copy(this.camera.position);
+            this.stars.rotation.y = (hours / 24) * Math.PI * 2; // Slow turn of the night sky
+            this.stars.material.opacity = sky.stars;
+            this.stars.visible = sky.stars > 0.01;
+        }
+        
+        this.ambientLight.color.copy(sky.ambient);
+        this.ambientLight.intensity = sky.ambientIntensity;
+        
+        // Keep the lights (and the sun's shadow camera) centred on what the camera is looking at.
+        // Snapping to whole shadow-map texels stops shadow edges shimmering as the view moves.
+        const focus = this.controls ? this.controls.target : this.camera.position;
+        const shadowCamera = this.directionalLight.shadow.camera;
+        const texelSize = (shadowCamera.right - shadowCamera.left) / this.directionalLight.shadow.mapSize.x;
+        const focusX = Math.round(focus.x / texelSize) * texelSize;
+        const focusZ = Math.round(focus.z / texelSize) * texelSize;
+        const lightDistance = 40;
+        
+        this.directionalLight.color.copy(sky.sun);
+        // No direct sunlight once the sun is below the horizon, whatever the sky colours say
+        this.directionalLight.intensity = sky.sunIntensity * THREE.MathUtils.smoothstep(this.sunDirection.y, -0.05, 0.1);
+        this.directionalLight.target.position.set(focusX, 0, focusZ);
+        this.directionalLight.position.copy(this.directionalLight.target.position)
+            .addScaledVector(this.sunDirection, lightDistance);
+        
+        this.moonLight.intensity = sky.moonIntensity;
+        this.moonLight.target.position.set(focusX, 0, focusZ);
+        this.moonLight.position.copy(this.moonLight.target.position)
+            .addScaledVector(this.moonDirection, lightDistance);
+        
+        // The settings panel shows the current time
+        const label = formatHours(hours);
+        if (this.timeSlider && label !== this.lastTimeLabel) {
+            this.lastTimeLabel = label;
+            this.timeLabel.innerText = label;
+            if (document.activeElement !== this.timeSlider) {
+                this.timeSlider.value = String(hours);
+            }
+        }
+    }
+    
+    updateSkyDome(deltaTime) {
+        const sky = this.skyState;
+        const uniforms = this.skyDome.material.uniforms;
+        this.skyDome.position.copy(this.camera.position);
+        
+        uniforms.uTopColor.value.copy(sky.skyTop);
+        uniforms.uHorizonColor.value.copy(sky.skyHorizon);
+        
+        // The disk and glow belong to whichever of the sun and moon is up
+        const sunVisibility = THREE.MathUtils.smoothstep(this.sunDirection.y, -0.05, 0.1);
+        if (sunVisibility > 0) {
+            uniforms.uSunDirection.value.copy(this.sunDirection);
+            uniforms.uSunColor.value.copy(sky.sun).multiplyScalar(sky.sunIntensity);
+            uniforms.uSunDiskStrength.value = sunVisibility;
+            uniforms.uHaloStrength.value = this.skyTheme.sunHalo * sunVisibility;
+        } else {
+            uniforms.uSunDirection.value.copy(this.moonDirection);
+            uniforms.uSunColor.value.copy(this.moonLight.color).multiplyScalar(sky.moonIntensity * 2);
+            uniforms.uSunDiskStrength.value = 1;
+            uniforms.uHaloStrength.value = 0.3;
+        }
+        
+        // Clouds drift with the wind and are lit like the rest of the scene
+        const themeCoverage = this.cloudsEnabled ? this.skyTheme.cloudCoverage : 0;
+        uniforms.uCloudCoverage.value = Math.max(themeCoverage, this.weather.params.cloudCoverage);
+        if (uniforms.uCloudCoverage.value > 0) {
+            const drift = this.skyTheme.cloudSpeed * deltaTime;
+            this.cloudOffset.x += this.wind.direction.x * drift;
+            this.cloudOffset.y += this.wind.direction.z * drift;
+            uniforms.uCloudOffset.value.copy(this.cloudOffset);
+            
+            const cloudColor = uniforms.uCloudColor.value;
+            cloudColor.copy(sky.sun).multiplyScalar(sky.sunIntensity * sunVisibility);
+            cloudColor.add(this.scratchColor.copy(sky.ambient).multiplyScalar(sky.ambientIntensity * 1.2));
+            cloudColor.multiply(this.skyThemeColors.cloud);
+            uniforms.uCloudShadeColor.value.copy(cloudColor).multiplyScalar(0.65).lerp(sky.skyHorizon, 0.3);
+        }
+    }
+    
+    setSkyTheme(theme) {
+        // Theme name from SKY_THEMES or a partial theme object
+        this.skyTheme = resolveSkyTheme(theme);
+        this.skyThemeName = typeof theme === 'string' ? theme : 'custom';
+        this.skyThemeColors = {
+            top: new THREE.Color(this.skyTheme.topTint),
+            horizon: new THREE.Color(this.skyTheme.horizonTint),
+            cloud: new THREE.Color(this.skyTheme.cloudColor)
+        };
+        this.setCloudsEnabled(this.skyTheme.clouds);
+        if (this.skyThemeSelect) {
+            this.skyThemeSelect.value = this.skyThemeName;
+        }
+    }
+    
+    setCloudsEnabled(enabled) {
+        this.cloudsEnabled = enabled;
+        if (this.cloudsCheckbox) {
+            this.cloudsCheckbox.checked = enabled;
+        }
+    }
+    
+    createRain() {
+        this.withRandomStream(hashSeed(this.seed, 'rain'), () => {
+            this.rain = new RainEffect({ count: this.quality.rainCount, random: this.random });
+            this.scene.add(this.rain.mesh);
+        });
+    }
+    
+    updateWeather(deltaTime, elapsedTime) {
+        const weather = this.weather.update(deltaTime);
+        
+        // Fog thickens with the weather on top of the quality tier's density
+        this.scene.fog.density = this.quality.fogDensity * weather.fogDensityScale;
+        
+        // Grass sways harder in stormy weather; this.wind stays the calm-weather baseline
+        setWindUniforms(this.windUniforms, {
+            strength: this.wind.strength * weather.windScale,
+            gustStrength: this.wind.gustStrength * weather.gustScale
+        });
+        
+        if (this.rain) {
+            const slant = 2 * weather.windScale;
+            this.rain.update(elapsedTime, this.camera.position, weather.rain, {
+                x: this.wind.direction.x * slant,
+                z: this.wind.direction.z * slant
+            });
+        }
+        
+        // The flamingo flies slower in bad weather (and lower, from its next flight path)
+        if (this.flamingoFlight) {
+            this.flamingoFlight.speedScale = weather.flightSpeed;
+        }
+    }
+    
+    setWeather(state) {
+        // One of WEATHER_NAMES; blends over a few seconds
+        this.weather.setState(state);
+        if (this.weatherSelect) {
+            this.weatherSelect.value = this.weather.state;
+        }
+        this.logDebug(`Weather: ${this.weather.state}`);
+    }
+    
+    setSeason(setting) {
+        // 'auto' (by date) or one of SEASONS; remembered for the next visit
+        this.seasonSetting = setting === 'auto' || SEASONS.includes(setting) ? setting : 'auto';
+        saveSeasonSetting(this.seasonSetting);
+        if (this.seasonSelect) {
+            this.seasonSelect.value = this.seasonSetting;
+        }
+        
+        const season = getActiveSeason(this.seasonSetting);
+        if (season === this.season) return;
+        this.season = season;
+        this.palette = SEASON_PALETTES[season];
+        this.applySeasonPalette();
+        this.rebuildWorld();
+        this.logDebug(`Season: ${season}`);
+    }
+    
+    applySeasonPalette() {
+        // Shared materials and uniforms change in place; instance and terrain colours need rebuildWorld
+        const palette = this.palette;
+        this.seasonSkyColors.top.setHex(palette.skyTop);
+        this.seasonSkyColors.horizon.setHex(palette.skyHorizon);
+        this.waterFallbackHSL = new THREE.Color(palette.waterFallback).getHSL(this.waterFallbackHSL);
+        if (this.ground) {
+            this.ground.material.color.setHex(palette.ground);
+        }
+        if (this.grassMaterial) {
+            this.grassMaterial.color.setHex(palette.grass);
+            this.grassMaterial.emissive.setHex(palette.grassEmissive);
+        }
+        if (this.waterMaterial) {
+            this.applyWaterPalette(this.waterMaterial);
+        }
+        if (this.waterFoam) {
+            this.waterFoam.points.visible = palette.frozen === 0;
+        }
+    }
+    
+    rebuildWorld() {
+        // Regenerate the terrain and river around the camera. Every piece draws from its own
+        // random stream, so the layout stays the same and only the colours change
         try {
-            // If no grass instances, skip animation
-            if (!this.grassInstances || this.grassInstances.length === 0) {
-                return;
+            Array.from(this.terrainGrid.keys()).forEach(key => this.removeTerrainCell(key));
+            Array.from(this.riverSegments.keys()).forEach(index => this.removeRiverSegment(index));
+            this.staleTerrainCells = [];
+            if (this.startTerrain) {
+                this.removeWorldGroup(this.startTerrain);
+                this.createStartTerrain();
             }
             
-            // Limit the number of instances we update per frame for performance
-            const maxInstanceUpdates = Math.min(5, this.grassInstances.length);
+            this.lastStreamingCell = null;
+            this.updateTerrainStreaming(true);
+            this.updateRiverStreaming(true);
+        } catch (error) {
+            console.error('Error rebuilding the world:', error);
+            this.logDebug('ERROR rebuilding the world: ' + error.message);
+        }
+    }
+    
+    setTimeOfDayMode(mode) {
+        // 'real' local time, a 'fixed' hour or an 'accelerated' cycle
+        this.timeOfDay.setMode(mode);
+        if (this.timeModeSelect) {
+            this.timeModeSelect.value = this.timeOfDay.mode;
+        }
+    }
+    
+    setTimeOfDay(hours) {
+        // Jumping to an hour stops following the real clock
+        if (this.timeOfDay.mode === 'real') {
+            this.setTimeOfDayMode('fixed');
+        }
+        this.timeOfDay.setHours(hours);
+    }
+    
+    setWind(wind = {}) {
+        // Update the grass wind; any of direction ({ x, z }), strength, gustStrength and speed
+        if (wind.direction) {
+            this.wind.direction = { x: wind.direction.x, z: wind.direction.z };
+        }
+        ['strength', 'gustStrength', 'speed'].forEach((key) => {
+            if (wind[key] !== undefined) {
+                this.wind[key] = wind[key];
+            }
+        });
+        setWindUniforms(this.windUniforms, this.wind);
+    }
+
+    updateAdaptiveQuality(deltaTime) {
+        if (this.qualitySetting !== 'auto') return;
+        
+        const frameMs = deltaTime * 1000;
+        // Ignore hidden tabs, breakpoints and other pauses
+        if (frameMs <= 0 || frameMs > 250) return;
+        
+        if (this.qualityWarmupFrames > 0) {
+            this.qualityWarmupFrames--;
+            return;
+        }
+        
+        this.frameTimeMonitor.addSample(frameMs);
+        if (!this.frameTimeMonitor.isFull) return;
+        
+        const averageMs = this.frameTimeMonitor.average;
+        
+        // Short benchmark first, it sets the starting tier and the ceiling for stepping up
+        if (!this.qualityBenchmarkDone) {
+            this.qualityBenchmarkDone = true;
+            const tier = tierForFrameTime(averageMs);
+            this.maxAutoQualityTier = tier;
+            this.logDebug(`Quality benchmark: ${averageMs.toFixed(1)}ms/frame, using ${tier}`);
+            if (tier !== this.qualityTier) {
+                this.setQualityTier(tier, { regenerate: true });
+            }
+            return;
+        }
+        
+        // Afterwards step one tier at a time, with a cooldown so changes can settle
+        if (this.clock.elapsedTime - this.lastQualityChange < 5) return;
+        
+        const index = QUALITY_TIERS.indexOf(this.qualityTier);
+        if (averageMs > 40 && index > 0) {
+            this.logDebug(`Frame time ${averageMs.toFixed(1)}ms, lowering quality`);
+            this.setQualityTier(QUALITY_TIERS[index - 1]);
+        } else if (averageMs < 14 && index < QUALITY_TIERS.indexOf(this.maxAutoQualityTier)) {
+            this.logDebug(`Frame time ${averageMs.toFixed(1)}ms, raising quality`);
+            this.setQualityTier(QUALITY_TIERS[index + 1]);
+        }
+    }
+
+    setQualitySetting(setting) {
+        // Called from the settings panel: 'auto' or a fixed tier, remembered across visits
+        this.qualitySetting = setting;
+        saveQualitySetting(setting);
+        
+        if (setting === 'auto') {
+            // Benchmark again from the current tier
+            this.maxAutoQualityTier = 'ultra';
+            this.qualityBenchmarkDone = false;
+            this.qualityWarmupFrames = 30;
+            this.frameTimeMonitor.reset();
+        } else {
+            this.setQualityTier(setting, { regenerate: true });
+        }
+        
+        this.updateQualityStatus();
+    }
+
+    setQualityTier(tier, { regenerate = false } = {}) {
+        const previous = this.quality;
+        this.qualityTier = tier;
+        this.quality = QUALITY_PRESETS[tier];
+        this.lastQualityChange = this.clock.elapsedTime;
+        this.frameTimeMonitor.reset();
+        
+        try {
+            // Pixel ratio
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.maxPixelRatio));
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
             
-            // Only update a few randomly selected grass patches each frame
-            for (let j = 0; j < maxInstanceUpdates; j++) {
-                // Pick a random grass patch to update
-                const randomIndex = Math.floor(Math.random() * this.grassInstances.length);
-                const grassInstance = this.grassInstances[randomIndex];
-                
-                // Safety check
-                if (!grassInstance || !grassInstance.mesh) continue;
-                
-                const mesh = grassInstance.mesh;
-                const count = grassInstance.count;
-                
-                // Skip if no instanceMatrix or dummy matrix
-                if (!mesh.instanceMatrix || !mesh.instanceMatrix.array) continue;
-                
-                // Create a dummy for transformations
-                const dummy = new THREE.Object3D();
-                const matrix = new THREE.Matrix4();
-                
-                // Wind parameters - reduced for better performance
-                const windStrength = 0.03;
-                const windSpeed = 0.4;
-                
-                // Update only a subset of instances each frame for performance
-                const updateCount = Math.min(15, count);
-                for (let i = 0; i < updateCount; i++) {
-                    // Pick a random instance to update
-                    const index = Math.floor(Math.random() * count);
-                    
-                    try {
-                        // Get original matrix
-                        mesh.getMatrixAt(index, matrix);
-                        dummy.matrix.copy(matrix);
-                        dummy.matrix.decompose(dummy.position, dummy.quaternion, dummy.scale);
-                        
-                        // Apply wind based on position
-                        const windFactor = Math.sin(time * windSpeed + dummy.position.x * 0.5 + dummy.position.z * 0.5) * windStrength;
-                        
-                        // Apply tilt in wind direction
-                        dummy.rotation.x = windFactor * 0.3;
-                        dummy.rotation.z = windFactor * 0.5;
-                        
-                        // Update matrix
-                        dummy.updateMatrix();
-                        mesh.setMatrixAt(index, dummy.matrix);
-                    } catch (error) {
-                        // Skip this instance if there's an error
-                        continue;
-                    }
-                }
-                
-                // Flag update
-                try {
-                    mesh.instanceMatrix.needsUpdate = true;
-                } catch (error) {
-                    console.warn("Error updating grass matrix:", error);
+            // Shadows - toggling needs every material to recompile
+            if (this.quality.shadows !== previous.shadows) {
+                this.renderer.shadowMap.enabled = this.quality.shadows;
+                this.directionalLight.castShadow = this.quality.shadows;
+                this.scene.traverse((child) => {
+                    const materials = Array.isArray(child.material) ? child.material : [child.material];
+                    materials.forEach((material) => {
+                        if (material) material.needsUpdate = true;
+                    });
+                });
+            }
+            if (this.quality.shadowMapSize !== previous.shadowMapSize) {
+                const shadow = this.directionalLight.shadow;
+                shadow.mapSize.set(this.quality.shadowMapSize, this.quality.shadowMapSize);
+                if (shadow.map) {
+                    shadow.map.dispose();
+                    shadow.map = null; // Recreated at the new size on the next render
                 }
             }
+            
+            // Fog and view distance (updateWeather applies the fog density each frame)
+            this.visibleRadius = this.quality.visibleRadius;
+            this.lastStreamingCell = null; // Recompute the visible cells next frame
+            this.lastRiverSegment = null;
+            
+            // Rain drops
+            if (this.rain && this.quality.rainCount !== previous.rainCount) {
+                this.scene.remove(this.rain.mesh);
+                this.rain.dispose();
+                this.createRain();
+            }
+            
+            // Foam particles
+            if (this.waterFoam && this.quality.foamCount !== previous.foamCount) {
+                this.scene.remove(this.waterFoam.points);
+                this.waterFoam.dispose();
+                this.waterFoam = null;
+                this.createInfiniteWaterFoamParticles();
+            }
+            
+            // Swap between shader water and the plain fallback
+            if (this.waterMaterial && this.quality.waterShader !== previous.waterShader) {
+                this.waterMaterial.dispose();
+                this.waterMaterial = this.createRiverMaterial(this.riverWidth);
+                this.riverSegments.forEach(({ water }) => {
+                    water.material = this.waterMaterial;
+                });
+            }
+            
+            if (regenerate) {
+                // Manual and benchmark changes rebuild everything at once, including the
+                // chunk resolution - neighbouring chunks must share one or cracks open
+                this.terrainSegments = this.quality.terrainSegments;
+                this.rebuildWorld();
+            } else {
+                // Automatic steps happen while frames are already slow, so keep the resolution
+                // and regenerate the existing cells a few per frame for the new grass and
+                // vegetation density. River segments and start terrain keep theirs
+                const { x, z } = this.camera.position;
+                this.staleTerrainCells = Array.from(this.terrainGrid.values())
+                    .sort((a, b) => Math.hypot(a.x - x, a.z - z) - Math.hypot(b.x - x, b.z - z))
+                    .map(cell => cell.key);
+            }
+            
+            this.logDebug(`Quality tier: ${tier}`);
         } catch (error) {
-            console.error("Error animating grass:", error);
-            // Silent fail - we don't want the animation loop to stop due to grass errors
+            console.error('Error applying quality tier:', error);
+            this.logDebug('ERROR applying quality: ' + error.message);
+        }
+        
+        this.updateQualityStatus();
+    }
+
+    createSettingsPanel() {
+        // Collapsible settings panel under the "Follow Flamingo" button
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.top = '75px';
+        panel.style.right = '20px';
+        panel.style.zIndex = '1000';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.color = 'white';
+        panel.style.textAlign = 'right';
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.innerText = '⚙ Settings';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', 'scene-settings');
+        toggle.style.padding = '6px 12px';
+        toggle.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        toggle.style.color = 'white';
+        toggle.style.border = '2px solid white';
+        toggle.style.borderRadius = '5px';
+        toggle.style.cursor = 'pointer';
+        panel.appendChild(toggle);
+        
+        const body = document.createElement('div');
+        body.id = 'scene-settings';
+        body.style.display = 'none';
+        body.style.marginTop = '6px';
+        body.style.padding = '10px';
+        body.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        body.style.borderRadius = '5px';
+        body.style.textAlign = 'left';
+        panel.appendChild(body);
+        
+        toggle.addEventListener('click', () => {
+            const isOpen = body.style.display !== 'none';
+            body.style.display = isOpen ? 'none' : 'block';
+            toggle.setAttribute('aria-expanded', String(!isOpen));
+        });
+        
+        document.body.appendChild(panel);
+        this.settingsPanel = panel;
+        this.settingsBody = body;
+        
+        // Quality tier
+        const qualitySelect = document.createElement('select');
+        ['auto', ...QUALITY_TIERS].forEach((value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = value.charAt(0).toUpperCase() + value.slice(1);
+            qualitySelect.appendChild(option);
+        });
+        qualitySelect.value = this.qualitySetting;
+        qualitySelect.addEventListener('change', () => this.setQualitySetting(qualitySelect.value));
+        this.addSettingsRow('Quality', qualitySelect);
+        
+        this.qualityStatus = document.createElement('div');
+        this.qualityStatus.style.fontSize = '12px';
+        this.qualityStatus.style.color = '#ccc';
+        this.settingsBody.appendChild(this.qualityStatus);
+        this.updateQualityStatus();
+        
+        // Time of day
+        const timeModeLabels = { real: 'Local time', fixed: 'Fixed', accelerated: 'Accelerated' };
+        this.timeModeSelect = document.createElement('select');
+        TIME_MODES.forEach((value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = timeModeLabels[value];
+            this.timeModeSelect.appendChild(option);
+        });
+        this.timeModeSelect.value = this.timeOfDay.mode;
+        this.timeModeSelect.addEventListener('change', () => this.setTimeOfDayMode(this.timeModeSelect.value));
+        this.addSettingsRow('Time', this.timeModeSelect);
+        
+        this.timeSlider = document.createElement('input');
+        this.timeSlider.type = 'range';
+        this.timeSlider.min = '0';
+        this.timeSlider.max = '24';
+        this.timeSlider.step = '0.25';
+        this.timeSlider.value = String(this.timeOfDay.hours);
+        this.timeSlider.addEventListener('input', () => this.setTimeOfDay(parseFloat(this.timeSlider.value)));
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.style.minWidth = '3em';
+        this.timeLabel.innerText = formatHours(this.timeOfDay.hours);
+        
+        const timeControl = document.createElement('span');
+        timeControl.style.display = 'flex';
+        timeControl.style.alignItems = 'center';
+        timeControl.style.gap = '6px';
+        timeControl.appendChild(this.timeSlider);
+        timeControl.appendChild(this.timeLabel);
+        this.addSettingsRow('Hour', timeControl);
+        
+        // Sky theme and clouds
+        this.skyThemeSelect = document.createElement('select');
+        Object.keys(SKY_THEMES).forEach((value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = value.charAt(0).toUpperCase() + value.slice(1);
+            this.skyThemeSelect.appendChild(option);
+        });
+        if (this.skyThemeName === 'custom') {
+            const option = document.createElement('option');
+            option.value = 'custom';
+            option.innerText = 'Custom';
+            this.skyThemeSelect.appendChild(option);
         }
+        this.skyThemeSelect.value = this.skyThemeName;
+        this.skyThemeSelect.addEventListener('change', () => {
+            if (SKY_THEMES[this.skyThemeSelect.value]) {
+                this.setSkyTheme(this.skyThemeSelect.value);
+            }
+        });
+        this.addSettingsRow('Sky', this.skyThemeSelect);
+        
+        this.cloudsCheckbox = document.createElement('input');
+        this.cloudsCheckbox.type = 'checkbox';
+        this.cloudsCheckbox.checked = this.cloudsEnabled;
+        this.cloudsCheckbox.addEventListener('change', () => this.setCloudsEnabled(this.cloudsCheckbox.checked));
+        this.addSettingsRow('Clouds', this.cloudsCheckbox);
+        
+        // Weather
+        this.weatherSelect = document.createElement('select');
+        WEATHER_NAMES.forEach((value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = value.charAt(0).toUpperCase() + value.slice(1);
+            this.weatherSelect.appendChild(option);
+        });
+        this.weatherSelect.value = this.weather.state;
+        this.weatherSelect.addEventListener('change', () => this.setWeather(this.weatherSelect.value));
+        this.addSettingsRow('Weather', this.weatherSelect);
+        
+        // Season
+        this.seasonSelect = document.createElement('select');
+        ['auto', ...SEASONS].forEach((value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = value === 'auto' ? 'Auto (by date)' : value.charAt(0).toUpperCase() + value.slice(1);
+            this.seasonSelect.appendChild(option);
+        });
+        this.seasonSelect.value = this.seasonSetting;
+        this.seasonSelect.addEventListener('change', () => this.setSeason(this.seasonSelect.value));
+        this.addSettingsRow('Season', this.seasonSelect);
+    }
+
+    addSettingsRow(labelText, control) {
+        // One labelled control per row in the settings panel
+        const row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.alignItems = 'center';
+        row.style.gap = '10px';
+        row.style.marginBottom = '6px';
+        
+        const label = document.createElement('span');
+        label.innerText = labelText;
+        row.appendChild(label);
+        row.appendChild(control);
+        
+        this.settingsBody.appendChild(row);
+        return row;
+    }
+
+    updateQualityStatus() {
+        if (!this.qualityStatus) return;
+        
+        this.qualityStatus.innerText = this.qualitySetting === 'auto' ?
+            `Auto - currently ${this.qualityTier}` :
+            `Fixed at ${this.qualityTier}`;
     }
 
     onWindowResize() {
         try {
+            // Devices can move between screens with different pixel ratios
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.maxPixelRatio));
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -1646,6 +2728,7 @@ class Scene3D {
         });
         
         document.body.appendChild(button);
+        this.followButton = button;
     }
     
     loadFlamingo() {
@@ -1659,6 +2742,12 @@ class Scene3D {
             loader.load(
                 './assets/models/Flamingo.glb', // Path to flamingo model
                 (gltf) => {
+                    // The scene may have been torn down while the model was loading
+                    if (this.isDisposed) {
+                        this.disposeObject(gltf.scene);
+                        return;
+                    }
+                    
                     // Model loaded successfully
                     this.flamingo = gltf.scene;
                     
@@ -1675,19 +2764,18 @@ class Scene3D {
                         }
                     });
                     
-                    // Setup animation
+                    // Setup animation; the behaviour picks and crossfades the clips
                     this.flamingoMixer = new THREE.AnimationMixer(this.flamingo);
                     
-                    // Play all animations
-                    gltf.animations.forEach((clip) => {
-                        this.flamingoMixer.clipAction(clip).play();
-                    });
-                    
                     // Add to scene
                     this.scene.add(this.flamingo);
                     
-                    // Start flight animation
-                    this.animateFlamingoFlight();
+                    // Start flying, without wing animation if the model has no usable flight cycle
+                    const clips = createFlamingoClips(gltf.animations);
+                    if (!clips) {
+                        this.logDebug('Flamingo model has no flight animation');
+                    }
+                    this.startFlamingoFlight(clips);
                     
                     this.logDebug('Flamingo model loaded successfully');
                 },
@@ -1708,147 +2796,250 @@ class Scene3D {
         }
     }
     
-    animateFlamingoFlight() {
-        // Create flight path animation for flamingo
-        if (!this.flamingo) return;
-        
-        // Random points to explore around the terrain
-        const explorePoints = [];
-        const pointCount = 8;
+    startFlamingoFlight(clips) {
+        // The flamingo is steered along spline paths that keep it clear of the ground,
+        // trees and flag poles (see FlightController). Now and then it lands in the
+        // shallows to wade and feed (see FlamingoBehaviour)
+        if (!this.flamingo || this.isDisposed) return;
+        
+        this.flamingoFlight = new FlightController({
+            getSurfaceHeight: (x, z) => this.getSurfaceHeightAt(x, z),
+            obstacles: this.obstacles,
+            planWaypoints: position => this.planFlamingoWaypoints(position)
+        });
+        this.flamingoFlight.speedScale = this.weather.params.flightSpeed;
+        this.flamingoFlight.reset(this.flamingo.position, this.flamingo.rotation.y);
+        
+        this.flamingoBehaviour = new FlamingoBehaviour({
+            mixer: this.flamingoMixer,
+            clips,
+            flight: this.flamingoFlight,
+            getGroundHeight: (x, z) => this.getHeightAt(x, z),
+            riverCurve: z => this.getRiverCurveOffset(z),
+            riverHalfWidth: this.riverWidth / 2,
+            waterLevel: WATER_LEVEL,
+            random: this.flightRandom,
+            // Stays in the air in heavy rain and when the river is frozen over
+            canLand: () => this.weather.params.rain < 0.5 && !this.palette.frozen
+        });
         
-        // Generate exploration points along the river and on terrain
-        for (let i = 0; i < pointCount; i++) {
-            // Mix points near river and on terrain
-            const isRiverPoint = i % 2 === 0;
+        this.logDebug('Flamingo flight controller started');
+    }
+    
+    planFlamingoWaypoints(position) {
+        // The next few points ahead, alternately over the river and over the land beside it.
+        // The flamingo turns around when it reaches either end of the flight area
+        const points = [];
+        const flightHeight = this.weather.params.flightHeight; // Lower in bad weather
+        let z = position.z;
+        
+        for (let i = 0; i < 6; i++) {
+            if (z > 120) {
+                this.flightDirection = -1;
+            } else if (z < -40) {
+                this.flightDirection = 1;
+            }
+            z += this.flightDirection * (8 + this.flightRandom() * 8);
+            const curveOffset = this.getRiverCurveOffset(z);
             
-            if (isRiverPoint) {
+            let x, altitude;
+            if (i % 2 === 0) {
                 // Point along the river with more randomness
-                const z = 40 + (i / pointCount) * 80; // Along the river
-                const curveOffset = this.getRiverCurveOffset(z);
-                
-                // Random position near river
-                const x = curveOffset + (Math.random() - 0.5) * 3;
-                const y = 1.5 + Math.random() * 0.5; // Random height
-                
-                explorePoints.push({ x, y, z });
+                x = curveOffset + (this.flightRandom() - 0.5) * 3;
+                altitude = (1.9 + this.flightRandom() * 0.5) * flightHeight;
             } else {
-                // Point on terrain away from river
-                const side = Math.random() > 0.5 ? 1 : -1;
-                const z = -40 + (i / pointCount) * 80; // Along the region
-                const curveOffset = this.getRiverCurveOffset(z);
-                
-                // Position off to the side of the river on terrain
-                const x = curveOffset + side * (3 + Math.random() * 5);
-                const y = 2 + Math.random() * 1.5; // Higher over terrain
-                
-                explorePoints.push({ x, y, z });
+                // Off to the side of the river, higher over the land
+                const side = this.flightRandom() > 0.5 ? 1 : -1;
+                x = curveOffset + side * (3 + this.flightRandom() * 5);
+                altitude = (2.3 + this.flightRandom() * 1.5) * flightHeight;
             }
+            
+            points.push(new THREE.Vector3(x, this.getSurfaceHeightAt(x, z) + altitude, z));
         }
         
-        // Create a timeline animation
-        const timeline = gsap.timeline({
-            repeat: -1,
-            onRepeat: () => {
-                // Generate new explore points each cycle
-                this.animateFlamingoFlight();
-            }
+        return points;
+    }
+
+    onControlsPointerDown(event) {
+        // OrbitControls also pans on ctrl/meta/shift + left drag; only touch gestures may pan
+        this.controls.enablePan = event.pointerType === 'touch';
+    }
+
+    clampControlsTarget() {
+        // Keep a panned target near the river, which runs on without end. Following the flamingo
+        // or a fly-to can leave it further out; panning may then bring it back but not further away.
+        // The camera moves with the target so the view is shifted rather than turned
+        const target = this.controls.target;
+        const centre = this.getRiverCurveOffset(target.z);
+        const limit = Math.max(this.maxTargetRiverOffset, this.targetRiverOffset);
+        const panned = !this.isFollowingFlamingo && !gsap.isTweening(target);
+        if (panned && Math.abs(target.x - centre) > limit) {
+            const x = THREE.MathUtils.clamp(target.x, centre - limit, centre + limit);
+            this.camera.position.x += x - target.x;
+            target.x = x;
+        }
+        this.targetRiverOffset = Math.abs(target.x - centre);
+    }
+
+    onPointerDown(event) {
+        // Only the primary mouse button can tap, any touch or pen contact can
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        
+        this.activePointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            time: performance.now()
         });
         
-        // Add each point to the animation path
-        explorePoints.forEach((point, index) => {
-            // Calculate rotation to face next point (or toward the end if last point)
-            let targetRotation = 0;
-            
-            if (index < explorePoints.length - 1) {
-                const nextPoint = explorePoints[index + 1];
-                targetRotation = Math.atan2(nextPoint.x - point.x, nextPoint.z - point.z);
-            }
-            
-            // Calculate flight duration based on distance
-            let duration = 5;
-            if (index < explorePoints.length - 1) {
-                const nextPoint = explorePoints[index + 1];
-                const distance = Math.sqrt(
-                    Math.pow(nextPoint.x - point.x, 2) + 
-                    Math.pow(nextPoint.y - point.y, 2) + 
-                    Math.pow(nextPoint.z - point.z, 2)
-                );
-                duration = 2 + distance * 0.3; // Longer duration for greater distances
-            }
-            
-            // Animate to this point
-            timeline.to(this.flamingo.position, {
-                x: point.x,
-                y: point.y,
-                z: point.z,
-                duration: duration,
-                ease: "power1.inOut",
-                onUpdate: () => {
-                    // Create a bobbing motion during flight
-                    const time = this.clock.getElapsedTime();
-                    this.flamingo.position.y += Math.sin(time * 4) * 0.07; // Vertical bob
-                    
-                    // Add slight roll to wings
-                    this.flamingo.rotation.z = Math.sin(time * 3) * 0.05;
-                },
-                onStart: () => {
-                    // Start rotating toward the next point
-                    gsap.to(this.flamingo.rotation, {
-                        y: targetRotation,
-                        duration: duration * 0.3,
-                        ease: "power1.inOut"
-                    });
-                }
-            });
-            
-            // Add a hover/pause at interesting features
-            if (Math.random() > 0.7) {
-                timeline.to(this.flamingo.position, {
-                    y: point.y + 0.5,
-                    duration: 1.5,
-                    yoyo: true,
-                    repeat: 1,
-                    ease: "power1.inOut"
-                });
-            }
-        });
+        // A second finger turns this into a pinch/pan, none of the fingers count as a tap
+        if (this.activePointers.size > 1) {
+            this.isMultiPointerGesture = true;
+        }
+    }
+
+    onPointerUp(event) {
+        const down = this.activePointers.get(event.pointerId);
+        this.activePointers.delete(event.pointerId);
+        if (!down) return;
+        
+        const wasMultiPointerGesture = this.isMultiPointerGesture;
+        if (this.activePointers.size === 0) {
+            this.isMultiPointerGesture = false;
+        }
+        if (wasMultiPointerGesture) return;
         
-        this.logDebug('Flamingo flight animation setup complete');
+        // Anything that moved further than a finger wobbles or took too long was a drag to orbit
+        const tolerance = event.pointerType === 'touch' ? 12 : 6;
+        const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+        if (moved > tolerance || performance.now() - down.time > this.tapMaxDuration) return;
+        
+        this.onFlagTap(event);
     }
 
-    onMouseClick(event) {
+    onPointerCancel(event) {
+        this.activePointers.delete(event.pointerId);
+        if (this.activePointers.size === 0) {
+            this.isMultiPointerGesture = false;
+        }
+    }
+
+    onFlagTap(event) {
         try {
-            // Calculate mouse position in normalized device coordinates (-1 to +1)
-            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-            
-            // Update the picking ray with the camera and mouse position
-            this.raycaster.setFromCamera(this.mouse, this.camera);
+            // Calculate pointer position in normalized device coordinates (-1 to +1)
+            this.setPointerFromEvent(this.mouse, event);
             
-            // Calculate objects intersecting the picking ray
-            const intersects = this.raycaster.intersectObjects(this.clickableFlags);
+            const tappedFlag = this.pickFlag(this.mouse);
             
-            // If we clicked on a flag
-            if (intersects.length > 0) {
-                const clickedFlag = intersects[0].object;
+            if (tappedFlag && tappedFlag.userData.topic) {
+                // Get topic data
+                const topicData = tappedFlag.userData.topic;
                 
-                if (clickedFlag.userData && clickedFlag.userData.topic) {
-                    // Get topic data
-                    const topicData = clickedFlag.userData.topic;
-                    
-                    // Show topic name
-                    this.logDebug(`Opening topic: ${topicData.name}`);
-                    
-                    // Redirect to markdown file - we'll open in a modal instead of page redirect
-                    this.openTopicMarkdown(topicData);
-                }
+                // Show topic name
+                this.logDebug(`Opening topic: ${topicData.title}`);
+                
+                // Redirect to markdown file - we'll open in a modal instead of page redirect
+                this.openTopicMarkdown(topicData);
             }
         } catch (error) {
-            console.error('Error handling mouse click:', error);
+            console.error('Error handling flag tap:', error);
+        }
+    }
+
+    setPointerFromEvent(target, event) {
+        // Normalized device coordinates relative to the canvas, not the window
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        target.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        target.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        return target;
+    }
+
+    pickFlag(pointer) {
+        // Return the flag under the pointer, using the enlarged hit areas
+        if (this.flagHitAreas.length === 0) return null;
+        
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const intersects = this.raycaster.intersectObjects(this.flagHitAreas, false);
+        return intersects.length > 0 ? intersects[0].object.userData.flag : null;
+    }
+
+    onPopState() {
+        // Sync the modal with the URL after back/forward
+        this.openTopicFromLocation(false);
+    }
+
+    openTopicFromLocation(isInitialLoad) {
+        const topicId = parseTopicRoute(window.location.hash);
+        
+        if (!topicId) {
+            this.closeTopicModal();
+            return;
+        }
+        
+        if (topicId === this.openTopicId) return;
+        
+        const topic = this.topics.find(t => t.id === topicId);
+        if (!topic) {
+            // Topics may still be loading, loadTopics calls this again when they arrive
+            if (this.topics.length > 0) {
+                this.logDebug(`Unknown topic in URL: ${topicId}`);
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+            return;
+        }
+        
+        if (isInitialLoad && this.flyToFlagOnDeepLink) {
+            this.flyToTopicFlag(topic.id);
+        }
+        
+        this.openTopicMarkdown(topic, { updateHistory: false });
+    }
+
+    flyToTopicFlag(topicId) {
+        // Move the camera to the nearest flag for this topic, if one is in the scene
+        if (this.isFollowingFlamingo) return;
+        
+        const flagPosition = new THREE.Vector3();
+        let nearestPosition = null;
+        let nearestDistance = Infinity;
+        
+        this.clickableFlags.forEach((flag) => {
+            if (flag.userData.topic.id !== topicId) return;
+            
+            flag.getWorldPosition(flagPosition);
+            const distance = flagPosition.distanceTo(this.camera.position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestPosition = flagPosition.clone();
+            }
+        });
+        
+        if (nearestPosition) {
+            this.flyToPosition(nearestPosition);
         }
     }
 
-    openTopicMarkdown(topicData) {
+    flyToPosition(position, duration = 2) {
+        // Glide the orbit target to a point and the camera to a viewpoint behind it
+        gsap.killTweensOf(this.controls.target);
+        gsap.killTweensOf(this.camera.position);
+        
+        gsap.to(this.controls.target, {
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            duration,
+            ease: 'power2.inOut'
+        });
+        gsap.to(this.camera.position, {
+            x: position.x,
+            y: position.y + 4,
+            z: position.z + 8,
+            duration,
+            ease: 'power2.inOut'
+        });
+    }
+
+    openTopicMarkdown(topicData, { updateHistory = true } = {}) {
         // Create modal element
         const modal = document.createElement('div');
         modal.style.position = 'fixed';
@@ -1862,8 +3053,13 @@ class Scene3D {
         modal.style.justifyContent = 'center';
         modal.style.alignItems = 'center';
         
-        // Create content container
+        // Create content container - this is the dialog itself, the modal is its backdrop
         const container = document.createElement('div');
+        container.setAttribute('role', 'dialog');
+        container.setAttribute('aria-modal', 'true');
+        container.setAttribute('aria-labelledby', 'topic-dialog-title');
+        container.tabIndex = -1; // Focusable so screen readers announce the dialog on open
+        container.style.outline = 'none';
         container.style.width = '80%';
         container.style.maxWidth = '800px';
         container.style.maxHeight = '80%';
@@ -1875,19 +3071,23 @@ class Scene3D {
         
         // Create title
         const title = document.createElement('h2');
-        title.innerText = topicData.name;
+        title.id = 'topic-dialog-title';
+        title.textContent = topicData.title;
         title.style.marginTop = '0';
         title.style.color = '#333';
         container.appendChild(title);
         
         // Create loading indicator
         const loading = document.createElement('p');
+        loading.setAttribute('role', 'status');
         loading.innerText = 'Loading content...';
         container.appendChild(loading);
         
         // Create close button
         const closeButton = document.createElement('button');
+        closeButton.type = 'button';
         closeButton.innerText = '×';
+        closeButton.setAttribute('aria-label', `Close ${topicData.title}`);
         closeButton.style.position = 'absolute';
         closeButton.style.top = '10px';
         closeButton.style.right = '15px';
@@ -1896,17 +3096,50 @@ class Scene3D {
         closeButton.style.fontSize = '24px';
         closeButton.style.cursor = 'pointer';
         closeButton.style.color = '#333';
-        closeButton.onclick = () => document.body.removeChild(modal);
+        closeButton.onclick = () => this.requestCloseTopic();
         container.appendChild(closeButton);
         
         // Add container to modal
         modal.appendChild(container);
         
+        // Clicking the backdrop closes the dialog
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                this.requestCloseTopic();
+            }
+        });
+        
+        // Escape closes, Tab stays inside the dialog
+        modal.addEventListener('keydown', (event) => this.onTopicDialogKeyDown(event, container));
+        
+        // Remember where focus was so it can be restored on close - when a topic
+        // replaces another one keep the element from before the first dialog
+        const replacesTopic = Boolean(this.topicModal);
+        const returnFocus = replacesTopic ? this.topicReturnFocus : document.activeElement;
+        
+        // Replace any modal that is already open
+        this.closeTopicModal({ restoreFocus: false });
+        
         // Add modal to body
         document.body.appendChild(modal);
+        this.topicModal = modal;
+        this.openTopicId = topicData.id;
+        this.topicReturnFocus = returnFocus;
+        container.focus();
+        
+        // Give the topic its own URL so it can be shared and closed with the back button.
+        // Switching topics inside the dialog reuses its entry, so closing always closes the
+        // dialog rather than going back to the previous topic
+        if (updateHistory && !replacesTopic) {
+            history.pushState({ topicId: topicData.id }, '', getTopicRoute(topicData.id));
+        } else if (updateHistory) {
+            const state = history.state && history.state.topicId ? { topicId: topicData.id } : null;
+            history.replaceState(state, '', getTopicRoute(topicData.id));
+        }
         
         // Fetch markdown content
-        fetch(`./assets/topics/${topicData.mdFile}`)
+        container.setAttribute('aria-busy', 'true');
+        fetch(topicData.markdownUrl)
             .then(response => {
                 if (!response.ok) {
                     throw new Error('Failed to load markdown file');
@@ -1914,63 +3147,194 @@ class Scene3D {
                 return response.text();
             })
             .then(markdown => {
+                // Another topic may have been opened while this one was loading
+                if (this.topicModal !== modal) return;
+                
                 // Remove loading indicator
                 container.removeChild(loading);
+                container.removeAttribute('aria-busy');
                 
-                // Convert markdown to HTML (basic conversion)
+                // Convert markdown to sanitized HTML
                 const content = document.createElement('div');
+                content.className = 'topic-content'; // Code highlighting theme lives in index.css
                 content.innerHTML = this.convertMarkdownToHtml(markdown);
                 content.style.color = '#333';
                 content.style.lineHeight = '1.6';
                 
+                // Let readers copy the code samples
+                this.addCopyButtons(content);
+                
+                // Heading links scroll inside the modal instead of replacing the topic route.
+                // The sanitizer prefixed the ids they point at
+                content.addEventListener('click', (event) => {
+                    const link = event.target.closest('a[href^="#"]');
+                    if (!link) return;
+                    
+                    event.preventDefault();
+                    const id = TOPIC_ID_PREFIX + link.getAttribute('href').slice(1);
+                    const target = content.querySelector(`[id="${CSS.escape(id)}"]`);
+                    if (target) {
+                        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    }
+                });
+                
                 // Add content to container
                 container.appendChild(content);
             })
             .catch(error => {
                 // Show error message
-                loading.innerText = `Error: ${error.message}. This is a placeholder - you would need to create the markdown files in assets/topics/ directory.`;
+                container.removeAttribute('aria-busy');
+                loading.setAttribute('role', 'alert');
+                loading.innerText = `Error: ${error.message} (${topicData.markdown}).`;
                 loading.style.color = 'red';
             });
     }
 
-    convertMarkdownToHtml(markdown) {
-        if (!markdown) return '';
+    addCopyButtons(content) {
+        content.querySelectorAll('pre > code').forEach((code) => {
+            const pre = code.parentNode;
+            pre.style.position = 'relative';
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.innerText = 'Copy';
+            button.className = 'topic-copy-button';
+            button.setAttribute('aria-label', 'Copy code to clipboard');
+            
+            button.addEventListener('click', () => {
+                this.copyToClipboard(code.textContent)
+                    .then(() => {
+                        button.innerText = 'Copied!';
+                    })
+                    .catch(() => {
+                        button.innerText = 'Copy failed';
+                    })
+                    .finally(() => {
+                        setTimeout(() => {
+                            button.innerText = 'Copy';
+                        }, 1500);
+                    });
+            });
+            
+            pre.appendChild(button);
+        });
+    }
+
+    copyToClipboard(text) {
+        // Prefer the async clipboard API, fall back to a hidden textarea on insecure origins
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            
+            try {
+                if (document.execCommand('copy')) {
+                    resolve();
+                } else {
+                    reject(new Error('Copy command was rejected'));
+                }
+            } catch (error) {
+                reject(error);
+            } finally {
+                document.body.removeChild(textarea);
+            }
+        });
+    }
+
+    onTopicDialogKeyDown(event, dialog) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.requestCloseTopic();
+            return;
+        }
         
-        // Basic markdown conversion for demonstration
-        let html = markdown;
+        if (event.key !== 'Tab') return;
         
-        // Headers
-        html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
-        html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-        html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
+        // Trap focus: wrap from the last focusable element to the first and back
+        const focusable = Array.from(dialog.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => element.getClientRects().length > 0);
         
-        // Bold and italic
-        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
+        if (focusable.length === 0) {
+            event.preventDefault();
+            dialog.focus();
+            return;
+        }
         
-        // Lists
-        html = html.replace(/^- (.+)$/gm, '<li>$1</li>');
-        html = html.replace(/(<li>.+<\/li>\n)+/g, '<ul>$&</ul>');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
         
-        // Code blocks
-        html = html.replace(/```(.+?)```/gs, '<pre><code>$1</code></pre>');
-        html = html.replace(/`(.+?)`/g, '<code>$1</code>');
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    requestCloseTopic() {
+        // Closing pops the history entry pushed when the topic was opened,
+        // the popstate handler then removes the modal
+        if (history.state && history.state.topicId) {
+            history.back();
+            return;
+        }
         
-        // Links
-        html = html.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank">$1</a>');
+        // Opened from a shared link - there is no entry of ours to go back to
+        this.closeTopicModal();
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    closeTopicModal({ restoreFocus = true } = {}) {
+        if (!this.topicModal) return;
         
-        // Paragraphs
-        html = html.replace(/^(?!(<h|<ul|<li|<pre)).+$/gm, '<p>$&</p>');
+        if (this.topicModal.parentNode) {
+            this.topicModal.parentNode.removeChild(this.topicModal);
+        }
+        this.topicModal = null;
+        this.openTopicId = null;
+        
+        // Return focus to where it was before the dialog opened
+        const returnFocus = this.topicReturnFocus;
+        this.topicReturnFocus = null;
+        if (restoreFocus && returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+            returnFocus.focus();
+        }
+    }
+
+    convertMarkdownToHtml(markdown) {
+        if (!markdown) return '';
         
-        return html;
+        // Topic files may come from outside contributors, never inject unsanitized HTML
+        return sanitizeTopicHtml(renderMarkdown(markdown).html);
     }
 
-    createTopicFlag(x, y, z) {
-        if (this.topics.length === 0) return null;
+    createTopicFlag(x, y, z, parent = this.scene, topic = null, colorRoll = null) {
+        // Roll topic and colour up front so the random stream advances the same way
+        // whether or not the topic manifest has loaded yet
+        const topicRoll = this.random();
+        if (colorRoll === null) {
+            colorRoll = this.random();
+        }
+        
+        if (!topic && this.topics.length === 0) {
+            this.pendingFlagSites.push({ x, y, z, parent, topicRoll, colorRoll });
+            return null;
+        }
         
         try {
             // Pick a random topic
-            const topic = this.topics[Math.floor(Math.random() * this.topics.length)];
+            if (!topic) {
+                topic = this.topics[Math.floor(topicRoll * this.topics.length)];
+            }
             
             // Create flag pole - thin cylinder
             const poleGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.6, 8);
@@ -1986,7 +3350,7 @@ class Scene3D {
             // Create flag - use plane geometry
             const flagGeometry = new THREE.PlaneGeometry(0.3, 0.2);
             const flagMaterial = new THREE.MeshStandardMaterial({
-                color: Math.random() * 0xffffff, // Random color
+                color: topic.color || colorRoll * 0xffffff, // Manifest colour, random if not set
                 side: THREE.DoubleSide,
                 roughness: 0.5,
                 metalness: 0.1
@@ -1995,7 +3359,7 @@ class Scene3D {
             flag.position.set(0.15, 0.2, 0); // Position relative to pole
             
             // Add text with topic name
-            this.addTextToFlag(flag, topic.name);
+            this.addTextToFlag(flag, topic.icon ? `${topic.icon} ${topic.title}` : topic.title);
             
             // Store topic data with the flag
             flag.userData.topic = topic;
@@ -2003,11 +3367,21 @@ class Scene3D {
             // Add flag to pole
             pole.add(flag);
             
+            // Invisible hit area around pole and flag - raycasting still hits hidden meshes
+            const hitArea = new THREE.Mesh(this.flagHitGeometry, this.flagHitMaterial);
+            hitArea.position.set(0.1, 0.05, 0);
+            hitArea.visible = false;
+            hitArea.userData.flag = flag;
+            pole.add(hitArea);
+            this.flagHitAreas.push(hitArea);
+            
             // Add to scene
-            this.scene.add(pole);
+            parent.add(pole);
+            this.obstacles.add(parent, { x: x + 0.15, z, radius: 0.3, top: y + 0.8 });
             
             // Add to clickable objects list
             this.clickableFlags.push(flag);
+            this.flagNavigationDirty = true;
             
             return pole;
         } catch (error) {
@@ -2016,6 +3390,317 @@ class Scene3D {
         }
     }
 
+    createFlagNavigation() {
+        // A visually hidden list of the flags in the scene; it only shows up while
+        // one of its buttons has keyboard focus
+        const nav = document.createElement('nav');
+        nav.setAttribute('aria-label', 'Topic flags');
+        
+        const heading = document.createElement('p');
+        heading.innerText = 'Topic flags in view, nearest first - press Enter to open';
+        heading.style.margin = '0 0 6px 0';
+        nav.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        list.style.listStyle = 'none';
+        list.style.margin = '0';
+        list.style.padding = '0';
+        list.style.display = 'flex';
+        list.style.flexWrap = 'wrap';
+        list.style.gap = '6px';
+        nav.appendChild(list);
+        
+        const hiddenStyle = {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            padding: '0',
+            margin: '-1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap',
+            border: '0'
+        };
+        const visibleStyle = {
+            position: 'absolute',
+            width: 'auto',
+            height: 'auto',
+            padding: '10px 15px',
+            margin: '0',
+            overflow: 'visible',
+            clip: 'auto',
+            whiteSpace: 'normal',
+            border: '2px solid white',
+            bottom: '20px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            maxWidth: '80%',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            color: 'white',
+            borderRadius: '5px',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '14px',
+            zIndex: '1000'
+        };
+        Object.assign(nav.style, hiddenStyle);
+        
+        nav.addEventListener('focusin', () => Object.assign(nav.style, visibleStyle));
+        nav.addEventListener('focusout', (event) => {
+            if (!nav.contains(event.relatedTarget)) {
+                Object.assign(nav.style, hiddenStyle);
+                this.flagNavigationDirty = true; // Catch up on changes held back while focused
+            }
+        });
+        
+        document.body.appendChild(nav);
+        this.flagNavigation = nav;
+        this.flagNavigationList = list;
+    }
+
+    getFlagsInView(limit) {
+        // The nearest flags inside the camera frustum, with where they are on screen
+        const frustum = new THREE.Frustum();
+        const viewProjection = new THREE.Matrix4();
+        this.camera.updateMatrixWorld();
+        viewProjection.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        frustum.setFromProjectionMatrix(viewProjection);
+        
+        const flags = [];
+        this.clickableFlags.forEach((flag) => {
+            const position = new THREE.Vector3();
+            flag.getWorldPosition(position);
+            if (!frustum.containsPoint(position)) return;
+            
+            const screenX = position.clone().project(this.camera).x;
+            let side = 'ahead';
+            if (screenX < -0.33) {
+                side = 'left';
+            } else if (screenX > 0.33) {
+                side = 'right';
+            }
+            
+            flags.push({
+                flag,
+                position,
+                distance: Math.round(position.distanceTo(this.camera.position)),
+                side
+            });
+        });
+        
+        return flags.sort((a, b) => a.distance - b.distance).slice(0, limit);
+    }
+
+    updateFlagNavigation(time) {
+        if (!this.flagNavigationList) return;
+        
+        // Refresh twice a second, or straight away when flags were added or removed
+        if (!this.flagNavigationDirty && time - this.lastFlagNavigationUpdate < 500) return;
+        
+        // Never rebuild under a keyboard or screen reader user: not while a button has focus
+        // (focusing one flies the camera, which reorders the flags) and not while the topic
+        // it opened is showing, so focus can return to that button
+        const holdsFocus = element => element && this.flagNavigation.contains(element);
+        if (holdsFocus(document.activeElement) || (this.topicModal && holdsFocus(this.topicReturnFocus))) return;
+        
+        this.flagNavigationDirty = false;
+        this.lastFlagNavigationUpdate = time;
+        
+        const flags = this.getFlagsInView(this.flagNavigationLimit);
+        const key = flags.map(({ flag, distance, side }) => `${flag.uuid}:${distance}:${side}`).join('|');
+        if (key === this.flagNavigationKey) return;
+        this.flagNavigationKey = key;
+        
+        this.flagNavigationItems.clear();
+        const labelCounts = new Map();
+        const items = flags.map(({ flag, position, distance, side }) => {
+            const topic = flag.userData.topic;
+            const where = side === 'ahead' ? 'ahead' : `to the ${side}`;
+            
+            // Several flags share a topic; distance and direction tell them apart, and a
+            // number the rare ones that still match
+            let label = `${topic.title} flag, ${distance} metres ${where}`;
+            const count = (labelCounts.get(label) || 0) + 1;
+            labelCounts.set(label, count);
+            if (count > 1) {
+                label += ` (${count})`;
+            }
+            
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.innerText = `${topic.title} (${distance} m, ${side}${count > 1 ? ` ${count}` : ''})`;
+            button.setAttribute('aria-label', `${label} - open topic`);
+            button.style.padding = '4px 8px';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+            button.style.color = 'white';
+            button.style.border = '1px solid white';
+            button.style.borderRadius = '4px';
+            button.style.cursor = 'pointer';
+            
+            // Focus shows the flag in 3D, Enter (a button click) opens the topic
+            button.addEventListener('focus', () => {
+                this.setFlagHighlight(flag, true, 'focus');
+                if (!this.isFollowingFlamingo) {
+                    this.flyToPosition(position, 1);
+                }
+            });
+            button.addEventListener('blur', () => this.setFlagHighlight(flag, false, 'focus'));
+            button.addEventListener('click', () => {
+                this.logDebug(`Opening topic: ${topic.title}`);
+                this.openTopicMarkdown(topic);
+            });
+            
+            item.appendChild(button);
+            this.flagNavigationItems.set(flag.uuid, item);
+            return item;
+        });
+        
+        this.flagNavigationList.replaceChildren(...items);
+    }
+
+    setFlagHighlight(flag, highlighted, source) {
+        // Glow and enlarge a flag so it stands out in the scene. Hover and keyboard
+        // focus highlight independently, the flag stays lit while either applies
+        if (!flag || !flag.material) return;
+        
+        if (!flag.userData.highlightSources) {
+            flag.userData.highlightSources = new Set();
+        }
+        const sources = flag.userData.highlightSources;
+        if (highlighted) {
+            sources.add(source);
+        } else {
+            sources.delete(source);
+        }
+        
+        const isHighlighted = sources.size > 0;
+        flag.material.emissive.setHex(isHighlighted ? 0x666666 : 0x000000);
+        flag.scale.setScalar(isHighlighted ? 1.5 : 1);
+    }
+
+    onPointerMove(event) {
+        // Touch has no hover, and a finger dragging to orbit shouldn't light up flags
+        if (event.pointerType === 'touch') return;
+        
+        // Only record the pointer here, the raycast happens once per frame in animate
+        this.setPointerFromEvent(this.hoverPointer, event);
+        this.hoverClient.x = event.clientX;
+        this.hoverClient.y = event.clientY;
+        this.isPointerOverCanvas = true;
+    }
+
+    onPointerLeave() {
+        this.isPointerOverCanvas = false;
+    }
+
+    updateFlagHover() {
+        // Keep raycasting while the pointer is over the canvas, the camera may move under it
+        let flag = null;
+        
+        if (this.isPointerOverCanvas && !this.topicModal) {
+            flag = this.pickFlag(this.hoverPointer);
+        }
+        
+        this.setHoveredFlag(flag);
+        
+        if (this.hoveredFlag) {
+            this.positionFlagTooltip();
+        }
+    }
+
+    setHoveredFlag(flag) {
+        if (flag === this.hoveredFlag) return;
+        
+        if (this.hoveredFlag) {
+            this.setFlagHighlight(this.hoveredFlag, false, 'hover');
+        }
+        
+        this.hoveredFlag = flag;
+        this.renderer.domElement.style.cursor = flag ? 'pointer' : '';
+        
+        if (!flag) {
+            this.flagTooltip.style.display = 'none';
+            return;
+        }
+        
+        this.setFlagHighlight(flag, true, 'hover');
+        this.showFlagTooltip(flag.userData.topic);
+    }
+
+    createFlagTooltip() {
+        // Floating label that follows the pointer over a flag
+        const tooltip = document.createElement('div');
+        tooltip.setAttribute('aria-hidden', 'true'); // The flag list already exposes this to screen readers
+        tooltip.style.position = 'fixed';
+        tooltip.style.display = 'none';
+        tooltip.style.maxWidth = '260px';
+        tooltip.style.padding = '8px 10px';
+        tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        tooltip.style.color = 'white';
+        tooltip.style.borderRadius = '5px';
+        tooltip.style.fontFamily = 'Arial, sans-serif';
+        tooltip.style.fontSize = '13px';
+        tooltip.style.lineHeight = '1.4';
+        tooltip.style.pointerEvents = 'none';
+        tooltip.style.zIndex = '1500';
+        
+        const title = document.createElement('strong');
+        title.style.display = 'block';
+        tooltip.appendChild(title);
+        
+        const summary = document.createElement('span');
+        summary.style.display = 'block';
+        summary.style.marginTop = '4px';
+        summary.style.color = '#ddd';
+        tooltip.appendChild(summary);
+        
+        document.body.appendChild(tooltip);
+        this.flagTooltip = tooltip;
+        this.flagTooltipTitle = title;
+        this.flagTooltipSummary = summary;
+    }
+
+    showFlagTooltip(topic) {
+        this.flagTooltipTitle.innerText = topic.icon ? `${topic.icon} ${topic.title}` : topic.title;
+        this.flagTooltipSummary.innerText = 'Click to read more';
+        this.flagTooltip.style.display = 'block';
+        
+        this.getTopicSummary(topic).then((summary) => {
+            // The pointer may have moved on to another flag in the meantime
+            if (summary && this.hoveredFlag && this.hoveredFlag.userData.topic === topic) {
+                this.flagTooltipSummary.innerText = summary;
+            }
+        });
+    }
+
+    positionFlagTooltip() {
+        // Keep the label next to the pointer but inside the window
+        const offset = 16;
+        const width = this.flagTooltip.offsetWidth;
+        const height = this.flagTooltip.offsetHeight;
+        const x = Math.min(this.hoverClient.x + offset, window.innerWidth - width - 8);
+        const y = Math.min(this.hoverClient.y + offset, window.innerHeight - height - 8);
+        this.flagTooltip.style.left = `${Math.max(8, x)}px`;
+        this.flagTooltip.style.top = `${Math.max(8, y)}px`;
+    }
+
+    getTopicSummary(topic) {
+        // Fetch each topic file once and cache its summary
+        if (!this.topicSummaries.has(topic.id)) {
+            const request = fetch(topic.markdownUrl)
+                .then(response => (response.ok ? response.text() : ''))
+                .then(markdown => extractSummary(markdown))
+                .catch((error) => {
+                    console.warn(`Could not load summary for ${topic.id}:`, error);
+                    this.topicSummaries.delete(topic.id); // Try again on the next hover
+                    return '';
+                });
+            this.topicSummaries.set(topic.id, request);
+        }
+        
+        return this.topicSummaries.get(topic.id);
+    }
+
     addTextToFlag(flag, text) {
         // Create a canvas for the text
         const canvas = document.createElement('canvas');
@@ -0,0 +1,377 @@
+// Flamingo behaviour: a small state machine that flies, glides, lands at the riverbank, wades
+// in the shallows, dips to feed and takes off again, crossfading the animation between states.
+import * as THREE from 'three';
+
+// The model only ships one flapping cycle (a morph-target clip, one target per frame), so the
+// other clips are slices of it: held wing poses played slowly back and forth. A GLB that has
+// its own clips with these names is used as is
+const CLIP_SLICES = {
+    glide: [11, 13], // Wings spread level, flexing slightly
+    wade: [0, 2], // Wings lowered
+    feed: [12, 15] // Lowered wings flicking for balance
+};
+
+// Clip, playback speed, crossfade seconds and timeline colour (debug overlay) for each state
+export const FLAMINGO_STATES = {
+    fly: { clip: 'fly', timeScale: 1, fade: 0.6, color: '#ff8fb1' },
+    glide: { clip: 'glide', timeScale: 0.12, fade: 0.8, color: '#ffd3e0' },
+    land: { clip: 'fly', timeScale: 1.4, fade: 0.4, color: '#ffb347' },
+    wade: { clip: 'wade', timeScale: 0.1, fade: 0.6, color: '#5ec8e5' },
+    feed: { clip: 'feed', timeScale: 0.5, fade: 0.4, color: '#7bd389' },
+    takeoff: { clip: 'fly', timeScale: 1.7, fade: 0.3, color: '#c792ea' }
+};
+
+const STAND_HEIGHT = 0.3; // Body above the water while standing in it
+const WADE_DEPTH = 0.12; // Water depth the flamingo wades in
+const WADE_SPEED = 0.35;
+const TAKEOFF_SECONDS = 2.2;
+const HISTORY_SECONDS = 120;
+
+// Clips by name: the GLB's own where it has them, otherwise slices of the flight cycle.
+// null when the GLB has no usable flight cycle to slice
+export function createFlamingoClips(animations = []) {
+    const fly = animations.find(clip => clip.name === 'fly') || animations[0];
+    if (!fly || fly.tracks.length === 0 || fly.tracks[0].times.length < 2) {
+        return null;
+    }
+    const clips = { fly };
+    const keyCount = fly.tracks[0].times.length;
+    const fps = (keyCount - 1) / fly.duration;
+
+    Object.entries(CLIP_SLICES).forEach(([name, [start, end]]) => {
+        clips[name] = animations.find(clip => clip.name === name) ||
+            THREE.AnimationUtils.subclip(fly, name, start, end, fps);
+    });
+    return clips;
+}
+
+export class FlamingoBehaviour {
+    // clips come from createFlamingoClips and may be null, which leaves the wings still.
+    // flight is the FlightController used while airborne; riverCurve(z) and riverHalfWidth
+    // describe the channel and getGroundHeight(x, z) its bed and banks. canLand() can veto a
+    // landing (bad weather, a frozen river)
+    constructor({
+        mixer,
+        clips,
+        flight,
+        getGroundHeight,
+        riverCurve,
+        riverHalfWidth,
+        waterLevel,
+        random = Math.random,
+        canLand = () => true
+    }) {
+        this.mixer = mixer;
+        this.clips = clips;
+        this.flight = flight;
+        this.getGroundHeight = getGroundHeight;
+        this.riverCurve = riverCurve;
+        this.riverHalfWidth = riverHalfWidth;
+        this.waterLevel = waterLevel;
+        this.random = random;
+        this.canLand = canLand;
+
+        this.state = null;
+        this.action = null;
+        this.time = 0;
+        this.stateTime = 0;
+        this.history = []; // { state, start, end } with end null for the current state
+
+        // Timers in seconds; the next landing is counted from take-off
+        this.airborneTime = 0;
+        this.landAfter = this.randomBetween(25, 45);
+        this.nextGlide = this.randomBetween(6, 12);
+        this.stateDuration = 0;
+        this.wadeLeft = 0;
+        this.nextFeed = 0;
+
+        // Pose while not following the flight controller
+        this.position = new THREE.Vector3();
+        this.yaw = 0;
+        this.pitch = 0;
+        this.roll = 0;
+        this.speed = 0;
+
+        this.landingPath = null;
+        this.landingLength = 0;
+        this.landingDistance = 0;
+        this.landingSpeed = 0;
+        this.wadeOffset = 0; // Signed distance from the river centre line while wading
+        this.wadeDirection = 1;
+
+        this.tangent = new THREE.Vector3();
+
+        this.setState('fly');
+    }
+
+    randomBetween(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        if (this.history.length) {
+            this.history[this.history.length - 1].end = this.time;
+        }
+        this.history.push({ state, start: this.time, end: null });
+        while (this.history.length > 1 && this.history[0].end < this.time - HISTORY_SECONDS) {
+            this.history.shift();
+        }
+
+        this.state = state;
+        this.stateTime = 0;
+        this.playClip(FLAMINGO_STATES[state]);
+    }
+
+    playClip({ clip, timeScale, fade }) {
+        // Without clips the behaviour still runs, the wings just stay put
+        if (!this.clips || !this.mixer) return;
+
+        const action = this.mixer.clipAction(this.clips[clip]);
+
+        // States sharing a clip (flying, landing, taking off) just change its speed
+        if (action === this.action) {
+            action.warp(action.getEffectiveTimeScale(), timeScale, fade);
+            return;
+        }
+
+        if (clip !== 'fly') {
+            action.setLoop(THREE.LoopPingPong, Infinity);
+        }
+        action.reset();
+        action.setEffectiveTimeScale(timeScale);
+        action.setEffectiveWeight(1);
+        action.play();
+        if (this.action) {
+            this.action.crossFadeTo(action, fade, false);
+        }
+        this.action = action;
+    }
+
+    // Segments of the last `span` seconds, oldest first, with times relative to now
+    getTimeline(span = 60) {
+        const from = this.time - span;
+        return this.history
+            .filter(entry => entry.end === null || entry.end > from)
+            .map(entry => ({
+                state: entry.state,
+                start: Math.max(entry.start, from) - this.time,
+                end: (entry.end === null ? this.time : entry.end) - this.time
+            }));
+    }
+
+    update(delta) {
+        if (delta <= 0) return;
+        const dt = Math.min(delta, 0.1);
+        this.time += dt;
+        this.stateTime += dt;
+
+        switch (this.state) {
+            case 'fly':
+            case 'glide':
+                this.updateAirborne(dt);
+                break;
+            case 'land':
+                this.updateLanding(dt);
+                break;
+            case 'wade':
+                this.updateWading(dt);
+                break;
+            case 'feed':
+                this.updateFeeding(dt);
+                break;
+            case 'takeoff':
+                this.updateTakeoff(dt);
+                break;
+            default:
+                break;
+        }
+    }
+
+    updateAirborne(dt) {
+        this.flight.update(dt);
+        this.airborneTime += dt;
+
+        if (this.state === 'glide') {
+            // Glides end after a while, or when the path starts to climb and needs wingbeats
+            if (this.stateTime > this.stateDuration || this.flight.velocity.y > 0.4) {
+                this.nextGlide = this.randomBetween(6, 14);
+                this.setState('fly');
+            }
+            return;
+        }
+
+        if (this.airborneTime > this.landAfter) {
+            if (this.canLand() && this.startLanding()) return;
+            this.landAfter = this.airborneTime + this.randomBetween(8, 15); // Try again later
+        }
+
+        this.nextGlide -= dt;
+        if (this.nextGlide <= 0 && this.flight.velocity.y <= 0.1) {
+            this.stateDuration = this.randomBetween(2.5, 5);
+            this.setState('glide');
+        }
+    }
+
+    // A shallow spot on the nearer bank some way ahead, or null if the channel never gets
+    // shallow enough there
+    findLandingSpot() {
+        const { position, velocity } = this.flight;
+        const direction = Math.sign(velocity.z) || 1;
+        const z = position.z + direction * this.randomBetween(6, 9);
+        const centre = this.riverCurve(z);
+        const side = position.x >= this.riverCurve(position.z) ? 1 : -1;
+
+        // The channel deepens towards its centre line, so bisect for the wading depth
+        const targetHeight = this.waterLevel - WADE_DEPTH;
+        let inner = this.riverHalfWidth * 0.4;
+        let outer = this.riverHalfWidth * 1.2;
+        if (this.getGroundHeight(centre + side * inner, z) > targetHeight ||
+            this.getGroundHeight(centre + side * outer, z) < targetHeight) {
+            return null;
+        }
+        for (let i = 0; i < 12; i++) {
+            const middle = (inner + outer) / 2;
+            if (this.getGroundHeight(centre + side * middle, z) < targetHeight) {
+                inner = middle;
+            } else {
+                outer = middle;
+            }
+        }
+
+        this.wadeOffset = side * (inner + outer) / 2;
+        this.wadeDirection = direction;
+        return new THREE.Vector3(centre + this.wadeOffset, this.waterLevel + STAND_HEIGHT, z);
+    }
+
+    startLanding() {
+        const spot = this.findLandingSpot();
+        if (!spot) return false;
+
+        // Swoop down through a point above and just short of the spot, then settle onto it
+        const { position, velocity } = this.flight;
+        const ahead = position.clone().addScaledVector(velocity, 0.8);
+        ahead.y = Math.max(
+            (position.y + spot.y) / 2 + 0.5,
+            this.flight.getSafeHeight(ahead.x, ahead.z)
+        );
+        const approach = spot.clone();
+        approach.z -= this.wadeDirection * 2;
+        approach.y += 0.6;
+
+        this.landingPath = new THREE.CatmullRomCurve3([position.clone(), ahead, approach, spot], false, 'centripetal');
+        this.landingLength = this.landingPath.getLength();
+        this.landingDistance = 0;
+        this.landingSpeed = velocity.length();
+
+        this.position.copy(position);
+        this.yaw = Math.atan2(velocity.x, velocity.z);
+        this.pitch = 0;
+        this.roll = this.flight.bank;
+        this.setState('land');
+        return true;
+    }
+
+    updateLanding(dt) {
+        // Slow down along the approach and flare (nose up) over the last stretch
+        const progress = this.landingDistance / this.landingLength;
+        const speed = THREE.MathUtils.lerp(this.landingSpeed, 0.8, progress);
+        this.landingDistance = Math.min(this.landingLength, this.landingDistance + speed * dt);
+
+        const u = this.landingDistance / this.landingLength;
+        this.landingPath.getPointAt(u, this.position);
+        this.landingPath.getTangentAt(u, this.tangent);
+        this.turnTowards(Math.atan2(this.tangent.x, this.tangent.z), dt);
+        this.pitch = -0.35 * u * u;
+        this.roll *= Math.max(0, 1 - dt * 3);
+
+        if (u >= 1) {
+            this.wadeLeft = this.randomBetween(10, 18);
+            this.nextFeed = this.randomBetween(1.5, 3.5);
+            this.setState('wade');
+        }
+    }
+
+    updateWading(dt) {
+        // Walk slowly along the bank, staying the same distance out from the centre line
+        this.position.z += this.wadeDirection * WADE_SPEED * dt;
+        const targetX = this.riverCurve(this.position.z) + this.wadeOffset;
+        const heading = Math.atan2(targetX - this.position.x, this.wadeDirection * WADE_SPEED * dt);
+        this.position.x = targetX;
+        this.position.y = this.waterLevel + STAND_HEIGHT;
+        this.turnTowards(heading, dt);
+        this.settlePose(0, dt);
+
+        this.wadeLeft -= dt;
+        this.nextFeed -= dt;
+        if (this.wadeLeft <= 0) {
+            this.speed = 0.4;
+            this.setState('takeoff');
+        } else if (this.nextFeed <= 0) {
+            this.stateDuration = this.randomBetween(2.5, 4.5);
+            this.setState('feed');
+        }
+    }
+
+    updateFeeding(dt) {
+        // Head down into the water, hold, then back up before walking on
+        const remaining = this.stateDuration - this.stateTime;
+        const dip = Math.min(1, this.stateTime / 0.6, Math.max(0, remaining) / 0.6);
+        this.pitch = 0.55 * dip;
+        this.position.y = this.waterLevel + STAND_HEIGHT - 0.08 * dip;
+
+        if (remaining <= 0) {
+            this.nextFeed = this.randomBetween(2, 4);
+            this.setState('wade');
+        }
+    }
+
+    updateTakeoff(dt) {
+        // Run across the water beating hard, then climb out and hand over to the flight path
+        const cruise = this.flight.cruiseSpeed * this.flight.speedScale;
+        const t = Math.min(1, this.stateTime / TAKEOFF_SECONDS);
+        this.speed = THREE.MathUtils.lerp(0.4, cruise, t);
+        const climb = 1.6 * t;
+
+        this.position.x += Math.sin(this.yaw) * this.speed * dt;
+        this.position.z += Math.cos(this.yaw) * this.speed * dt;
+        this.position.y += climb * dt;
+        this.position.y = Math.max(this.position.y, this.getGroundHeight(this.position.x, this.position.z) + STAND_HEIGHT);
+        this.settlePose(-Math.atan2(climb, this.speed) * 0.6, dt);
+
+        if (t >= 1 && this.position.y >= this.flight.getSafeHeight(this.position.x, this.position.z)) {
+            this.flight.reset(this.position, this.yaw, this.speed);
+            this.airborneTime = 0;
+            this.landAfter = this.randomBetween(25, 45);
+            this.nextGlide = this.randomBetween(4, 8);
+            this.setState('fly');
+        }
+    }
+
+    turnTowards(heading, dt) {
+        const difference = Math.atan2(Math.sin(heading - this.yaw), Math.cos(heading - this.yaw));
+        this.yaw += difference * Math.min(1, dt * 3);
+    }
+
+    settlePose(pitch, dt) {
+        const blend = Math.min(1, dt * 4);
+        this.pitch += (pitch - this.pitch) * blend;
+        this.roll -= this.roll * blend;
+    }
+
+    applyTo(object, time) {
+        if (this.state === 'fly' || this.state === 'glide') {
+            this.flight.applyTo(object, time);
+            return;
+        }
+
+        object.position.copy(this.position);
+        if (this.state === 'wade') {
+            object.position.y += Math.abs(Math.sin(time * 3)) * 0.015; // Stepping
+        }
+        object.rotation.order = 'YXZ';
+        object.rotation.y = this.yaw;
+        object.rotation.x = this.pitch;
+        object.rotation.z = this.roll;
+    }
+}
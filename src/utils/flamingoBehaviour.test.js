@@ -0,0 +1,44 @@
+// Flamingo clips from whatever the GLB ships, including nothing at all
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { FlamingoBehaviour, createFlamingoClips } from './flamingoBehaviour';
+
+// A morph-target flapping cycle like the bundled model's, one key per frame
+function createFlyClip(name = 'fly', frames = 16) {
+    const times = Array.from({ length: frames }, (_, i) => i / 24);
+    const values = Array.from({ length: frames * frames }, (_, i) => (i % (frames + 1) === 0 ? 1 : 0));
+    return new THREE.AnimationClip(name, -1, [new THREE.NumberKeyframeTrack('.morphTargetInfluences', times, values)]);
+}
+
+describe('createFlamingoClips', () => {
+    it('slices the flight cycle into the other clips', () => {
+        const clips = createFlamingoClips([createFlyClip('Flap')]);
+        expect(Object.keys(clips).sort()).toEqual(['feed', 'fly', 'glide', 'wade']);
+        expect(clips.glide.tracks[0].times).toHaveLength(2);
+    });
+
+    it('returns null without a usable flight cycle', () => {
+        expect(createFlamingoClips([])).toBeNull();
+        expect(createFlamingoClips(undefined)).toBeNull();
+        expect(createFlamingoClips([new THREE.AnimationClip('fly', 1, [])])).toBeNull();
+    });
+});
+
+describe('FlamingoBehaviour', () => {
+    it('flies without clips', () => {
+        const behaviour = new FlamingoBehaviour({
+            mixer: new THREE.AnimationMixer(new THREE.Object3D()),
+            clips: null,
+            flight: null,
+            getGroundHeight: () => 0,
+            riverCurve: () => 0,
+            riverHalfWidth: 1.5,
+            waterLevel: -0.4
+        });
+        expect(behaviour.state).toBe('fly');
+        expect(behaviour.action).toBeNull();
+
+        behaviour.setState('glide');
+        expect(behaviour.state).toBe('glide');
+    });
+});
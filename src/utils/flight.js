@@ -0,0 +1,237 @@
+// Flamingo flight: a steering controller that follows smooth spline paths, keeps clear of
+// the ground and of tall obstacles (trees, flag poles) and banks into its turns.
+import * as THREE from 'three';
+
+const GRAVITY = 9.81;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Vertical cylinders ({ x, z, radius, top }) in a coarse spatial hash. Obstacles are added
+// per owner (a terrain cell or river segment) so a streamed-out owner drops them in one call
+export class ObstacleMap {
+    constructor(cellSize = 5) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "x,z" -> Set of obstacles
+        this.owners = new Map(); // owner -> obstacles
+        this.nearby = [];
+    }
+
+    cellKey(x, z) {
+        return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`;
+    }
+
+    add(owner, obstacle) {
+        const key = this.cellKey(obstacle.x, obstacle.z);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(obstacle);
+
+        if (!this.owners.has(owner)) {
+            this.owners.set(owner, []);
+        }
+        this.owners.get(owner).push(obstacle);
+    }
+
+    removeOwner(owner) {
+        const obstacles = this.owners.get(owner);
+        if (!obstacles) return;
+        this.owners.delete(owner);
+
+        obstacles.forEach((obstacle) => {
+            const key = this.cellKey(obstacle.x, obstacle.z);
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.delete(obstacle);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+    }
+
+    // Obstacles whose cell lies within radius of (x, z); callers do the exact distance test
+    query(x, z, radius, out = []) {
+        out.length = 0;
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(`${cx},${cz}`);
+                if (cell) {
+                    cell.forEach(obstacle => out.push(obstacle));
+                }
+            }
+        }
+        return out;
+    }
+
+    // Highest obstacle top near a point, or -Infinity
+    getTopNear(x, z, radius) {
+        let top = -Infinity;
+        this.query(x, z, radius, this.nearby).forEach((obstacle) => {
+            if (Math.hypot(obstacle.x - x, obstacle.z - z) < radius + obstacle.radius) {
+                top = Math.max(top, obstacle.top);
+            }
+        });
+        return top;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.owners.clear();
+    }
+}
+
+export class FlightController {
+    // getSurfaceHeight(x, z) is the ground or water height; planWaypoints(position, velocity)
+    // returns the next few points to fly through, which are lifted to a safe height here
+    constructor({
+        getSurfaceHeight,
+        obstacles,
+        planWaypoints,
+        minClearance = 0.8,
+        cruiseSpeed = 3,
+        maxForce = 4,
+        lookAhead = 2.5
+    }) {
+        this.getSurfaceHeight = getSurfaceHeight;
+        this.obstacles = obstacles;
+        this.planWaypoints = planWaypoints;
+        this.minClearance = minClearance;
+        this.cruiseSpeed = cruiseSpeed;
+        this.maxForce = maxForce;
+        this.lookAhead = lookAhead; // Distance along the path the bird steers towards
+        this.speedScale = 1; // Set from the weather
+
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.previousVelocity = new THREE.Vector3();
+        this.bank = 0;
+        this.path = null;
+        this.pathLength = 0;
+        this.distanceAlong = 0;
+
+        this.target = new THREE.Vector3();
+        this.steer = new THREE.Vector3();
+        this.predicted = new THREE.Vector3();
+        this.tangent = new THREE.Vector3();
+        this.acceleration = new THREE.Vector3();
+        this.turnAxis = new THREE.Vector3();
+        this.nearby = [];
+    }
+
+    reset(position, heading = 0, speed = this.cruiseSpeed) {
+        this.position.copy(position);
+        this.velocity.set(Math.sin(heading), 0, Math.cos(heading)).multiplyScalar(speed);
+        this.previousVelocity.copy(this.velocity);
+        this.bank = 0;
+        this.replan();
+    }
+
+    // Height that keeps the minimum clearance over the ground and anything standing near it
+    getSafeHeight(x, z) {
+        const ground = this.getSurfaceHeight(x, z);
+        const obstacleTop = this.obstacles ? this.obstacles.getTopNear(x, z, this.minClearance) : -Infinity;
+        return Math.max(ground, obstacleTop) + this.minClearance;
+    }
+
+    replan() {
+        // A centripetal Catmull-Rom spline through the waypoints, resampled every couple of
+        // units and lifted wherever it would dip below the safe height
+        const points = [this.position.clone(), ...this.planWaypoints(this.position, this.velocity)];
+        points.forEach((point, index) => {
+            if (index > 0) {
+                point.y = Math.max(point.y, this.getSafeHeight(point.x, point.z));
+            }
+        });
+        const rough = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+
+        const samples = Math.max(8, Math.ceil(rough.getLength() / 2));
+        const lifted = rough.getSpacedPoints(samples).map((point, index) => {
+            if (index > 0) {
+                point.y = Math.max(point.y, this.getSafeHeight(point.x, point.z));
+            }
+            return point;
+        });
+
+        this.path = new THREE.CatmullRomCurve3(lifted, false, 'centripetal');
+        this.pathLength = this.path.getLength();
+        this.distanceAlong = 0;
+    }
+
+    update(delta) {
+        if (!this.path || delta <= 0) return;
+        const dt = Math.min(delta, 0.1); // Long frames (hidden tabs) would overshoot
+        const maxSpeed = this.cruiseSpeed * this.speedScale;
+
+        // Progress is measured along the path, so being pushed aside doesn't skip ahead
+        const u = Math.min(1, this.distanceAlong / this.pathLength);
+        this.path.getTangentAt(u, this.tangent);
+        this.distanceAlong += Math.max(0, this.velocity.dot(this.tangent)) * dt;
+        if (this.distanceAlong >= this.pathLength - 0.5) {
+            this.replan();
+        }
+
+        // Seek a point a little further along the path
+        const targetU = Math.min(1, (this.distanceAlong + this.lookAhead) / this.pathLength);
+        this.path.getPointAt(targetU, this.target);
+        this.steer.subVectors(this.target, this.position).setLength(maxSpeed).sub(this.velocity);
+
+        // Climb before the ground (or water) ahead gets too close
+        this.predicted.copy(this.position).addScaledVector(this.velocity, 0.6);
+        const floor = Math.max(
+            this.getSurfaceHeight(this.position.x, this.position.z),
+            this.getSurfaceHeight(this.predicted.x, this.predicted.z)
+        ) + this.minClearance;
+        if (this.position.y < floor) {
+            this.steer.y += (floor - this.position.y) * 6;
+        }
+
+        // Swerve around trees and poles that reach up to flight height
+        if (this.obstacles) {
+            this.obstacles.query(this.predicted.x, this.predicted.z, 2, this.nearby).forEach((obstacle) => {
+                if (obstacle.top + this.minClearance * 0.5 < this.position.y) return;
+                const dx = this.predicted.x - obstacle.x;
+                const dz = this.predicted.z - obstacle.z;
+                const distance = Math.hypot(dx, dz);
+                const limit = obstacle.radius + this.minClearance * 0.6;
+                if (distance >= limit || distance === 0) return;
+
+                const push = ((limit - distance) / limit) * this.maxForce * 2;
+                this.steer.x += (dx / distance) * push;
+                this.steer.z += (dz / distance) * push;
+                this.steer.y += push * 0.5; // Pulling up helps too
+            });
+        }
+
+        this.steer.clampLength(0, this.maxForce * 2);
+        this.previousVelocity.copy(this.velocity);
+        this.velocity.addScaledVector(this.steer, dt).clampLength(maxSpeed * 0.3, maxSpeed);
+        this.position.addScaledVector(this.velocity, dt);
+
+        // Never let the steering lag put the bird into the ground
+        const minimumHeight = this.getSurfaceHeight(this.position.x, this.position.z) + this.minClearance * 0.5;
+        this.position.y = Math.max(this.position.y, minimumHeight);
+
+        // Bank like a real turn: roll angle from the sideways acceleration against gravity
+        this.acceleration.subVectors(this.velocity, this.previousVelocity).divideScalar(dt);
+        const speed = Math.max(this.velocity.length(), 0.001);
+        const lateral = this.turnAxis.crossVectors(this.velocity, this.acceleration).dot(UP) / speed;
+        const targetBank = THREE.MathUtils.clamp(-Math.atan2(lateral, GRAVITY) * 1.5, -0.6, 0.6);
+        this.bank += (targetBank - this.bank) * Math.min(1, dt * 4);
+    }
+
+    // Copy the simulated pose onto the model. The wingbeat bob is an offset from the simulated
+    // position each frame, never added to it, so it can't build up
+    applyTo(object, time) {
+        object.position.copy(this.position);
+        object.position.y += Math.sin(time * 4) * 0.07;
+
+        const horizontal = Math.hypot(this.velocity.x, this.velocity.z);
+        object.rotation.order = 'YXZ';
+        object.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+        object.rotation.x = -Math.atan2(this.velocity.y, horizontal) * 0.6; // Nose up while climbing
+        object.rotation.z = this.bank;
+    }
+}
@@ -0,0 +1,362 @@
+// River foam simulated on the GPU. Particle state lives in a float texture that a compute
+// pass advects along the river curve each frame, and the points read it in their vertex
+// shader, so the CPU cost doesn't grow with the particle count. Without float render
+// targets CpuFoamSimulation runs the same flow for fewer particles on the CPU.
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer';
+import { RIVER_CURVE_GLSL } from './water';
+
+const FLOW_SPEED = 3.0;
+const CPU_FOAM_COUNT = 1024; // The low tier's count; more would cost too much frame time
+
+// State per texel: z along the river, lane across it (-1..1), speed jitter, spare
+const FOAM_COMPUTE = /* glsl */ `
+uniform float uDelta;
+uniform float uTime;
+uniform float uCameraZ;
+uniform float uRange;
+uniform float uRiverHalfWidth;
+uniform float uFlowSpeed;
+
+${RIVER_CURVE_GLSL}
+
+float foamHash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 state = texture2D(textureFoam, uv);
+    float z = state.x;
+    float lane = state.y;
+
+    // The channel is a straight one shifted sideways along the curve, so where it runs at an
+    // angle it is narrower across the flow. The same discharge through a narrower channel
+    // flows faster; the reference channel is 3 units wide
+    float slope = riverCurveSlope(z);
+    float localHalfWidth = uRiverHalfWidth / sqrt(1.0 + slope * slope);
+    float widthFactor = 1.5 / localHalfWidth;
+
+    // Friction slows the water near the banks
+    float bankFactor = 1.0 - 0.6 * lane * lane;
+
+    // Water slows through tight bends and runs faster on the outside of them
+    float bend = riverCurveBend(z);
+    float curvature = bend / pow(1.0 + slope * slope, 1.5);
+    float bendFactor = 1.0 - clamp(abs(curvature) * 40.0, 0.0, 0.6);
+    bendFactor += -sign(curvature) * lane * clamp(abs(curvature) * 30.0, 0.0, 0.4);
+
+    float speed = uFlowSpeed * widthFactor * bankFactor * bendFactor * state.z;
+    z -= speed * uDelta; // Water flows towards -z
+
+    // Lanes drift slowly so the foam doesn't look like it runs on rails
+    lane += sin(uTime * 0.7 + state.z * 40.0 + z * 0.3) * 0.05 * uDelta;
+    lane = clamp(lane, -0.95, 0.95);
+
+    // Wrap particles that leave the window around the camera to its other end
+    if (z < uCameraZ - uRange) {
+        z += uRange * 2.0;
+        lane = foamHash(uv + fract(uTime)) * 2.0 - 1.0;
+    } else if (z > uCameraZ + uRange) {
+        z -= uRange * 2.0;
+        lane = foamHash(uv + fract(uTime)) * 2.0 - 1.0;
+    }
+
+    // After a camera jump (flying to a flag) scatter anything still outside over the window
+    if (abs(z - uCameraZ) > uRange) {
+        z = uCameraZ + (foamHash(uv.yx + fract(uTime * 0.37)) * 2.0 - 1.0) * uRange;
+    }
+
+    gl_FragColor = vec4(z, lane, state.z, state.w);
+}
+`;
+
+const FOAM_VERTEX = /* glsl */ `
+#include <fog_pars_vertex>
+
+attribute vec2 reference;
+
+uniform sampler2D uFoamTexture;
+uniform float uTime;
+uniform float uCameraZ;
+uniform float uRange;
+uniform float uRiverHalfWidth;
+uniform float uSize;
+uniform float uViewportHeight;
+
+varying float vAlpha;
+
+${RIVER_CURVE_GLSL}
+
+void main() {
+    vec4 state = texture2D(uFoamTexture, reference);
+    float z = state.x;
+    float lane = state.y;
+
+    vec3 transformed = vec3(
+        riverCurveOffset(z) + lane * uRiverHalfWidth + sin(uTime * 2.0 + z) * 0.03,
+        -0.38, // Just above the water
+        z
+    );
+
+    vec4 mvPosition = viewMatrix * vec4(transformed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * uViewportHeight * 0.5 / -mvPosition.z;
+
+    // Fade out at the ends of the window so wrapping particles don't pop
+    vAlpha = 1.0 - smoothstep(uRange * 0.8, uRange, abs(z - uCameraZ));
+
+    #include <fog_vertex>
+}
+`;
+
+// The CPU simulation writes world positions straight into the geometry
+const CPU_FOAM_VERTEX = /* glsl */ `
+#include <fog_pars_vertex>
+
+uniform float uCameraZ;
+uniform float uRange;
+uniform float uSize;
+uniform float uViewportHeight;
+
+varying float vAlpha;
+
+void main() {
+    vec4 mvPosition = viewMatrix * vec4(position, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * uViewportHeight * 0.5 / -mvPosition.z;
+
+    // Fade out at the ends of the window so wrapping particles don't pop
+    vAlpha = 1.0 - smoothstep(uRange * 0.8, uRange, abs(position.z - uCameraZ));
+
+    #include <fog_vertex>
+}
+`;
+
+const FOAM_FRAGMENT = /* glsl */ `
+#include <common>
+#include <fog_pars_fragment>
+
+uniform vec3 uColor;
+uniform float uOpacity;
+
+varying float vAlpha;
+
+void main() {
+    // Soft round dot
+    float falloff = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5));
+    if (falloff <= 0.0) discard;
+
+    gl_FragColor = vec4(uColor, falloff * uOpacity * vAlpha);
+
+    #include <fog_fragment>
+}
+`;
+
+// Whether the state texture can be rendered to as float. Half floats aren't enough: z
+// positions hundreds of units out would lose the small per-frame steps
+export function supportsGpuFoam(renderer) {
+    const { capabilities, extensions } = renderer;
+    if (capabilities.maxVertexTextures === 0) return false;
+    return capabilities.isWebGL2
+        ? extensions.has('EXT_color_buffer_float')
+        : extensions.has('OES_texture_float') && extensions.has('WEBGL_color_buffer_float');
+}
+
+function createFoamMaterial(vertexShader, { count, range, cameraZ, riverHalfWidth }) {
+    // Keep the overall brightness similar as the count grows
+    const density = Math.sqrt(800 / count);
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([
+            THREE.UniformsLib.fog,
+            {
+                uFoamTexture: { value: null },
+                uTime: { value: 0 },
+                uCameraZ: { value: cameraZ },
+                uRange: { value: range },
+                uRiverHalfWidth: { value: riverHalfWidth },
+                uSize: { value: 0.15 * Math.min(1, Math.max(0.5, density * 2)) },
+                uViewportHeight: { value: 1 },
+                uColor: { value: new THREE.Color(0xffffff) },
+                uOpacity: { value: 0.7 * Math.min(1, Math.max(0.2, density * 2)) }
+            }
+        ]),
+        vertexShader,
+        fragmentShader: FOAM_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+        fog: true
+    });
+}
+
+export class FoamSimulation {
+    // count is rounded up to fill a square state texture
+    constructor(renderer, { count, riverHalfWidth, range, cameraZ, random = Math.random }) {
+        this.renderer = renderer;
+        this.size = Math.max(1, Math.ceil(Math.sqrt(count)));
+        this.count = this.size * this.size;
+
+        this.gpuCompute = new GPUComputationRenderer(this.size, this.size, renderer);
+        const initialState = this.gpuCompute.createTexture();
+        try {
+            const data = initialState.image.data;
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = cameraZ + (random() * 2 - 1) * range;
+                data[i + 1] = random() * 2 - 1;
+                data[i + 2] = 0.8 + random() * 0.4; // Speed jitter
+                data[i + 3] = 0;
+            }
+
+            this.variable = this.gpuCompute.addVariable('textureFoam', FOAM_COMPUTE, initialState);
+            this.gpuCompute.setVariableDependencies(this.variable, [this.variable]);
+            Object.assign(this.variable.material.uniforms, {
+                uDelta: { value: 0 },
+                uTime: { value: 0 },
+                uCameraZ: { value: cameraZ },
+                uRange: { value: range },
+                uRiverHalfWidth: { value: riverHalfWidth },
+                uFlowSpeed: { value: FLOW_SPEED }
+            });
+
+            const error = this.gpuCompute.init();
+            if (error !== null) {
+                throw new Error(`GPU foam unavailable: ${error}`);
+            }
+        } catch (error) {
+            // The initial state isn't owned by the compute renderer until addVariable succeeds
+            initialState.dispose();
+            this.gpuCompute.dispose();
+            throw error;
+        }
+
+        // Each point only needs to know which texel holds its state
+        const references = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            references[i * 2] = ((i % this.size) + 0.5) / this.size;
+            references[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+        const material = createFoamMaterial(FOAM_VERTEX, { count: this.count, range, cameraZ, riverHalfWidth });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Positions only exist on the GPU
+        this.viewportSize = new THREE.Vector2();
+    }
+
+    update(delta, time, cameraZ) {
+        // Clamp long frames (hidden tabs) so particles don't jump through the window
+        const computeUniforms = this.variable.material.uniforms;
+        computeUniforms.uDelta.value = Math.min(delta, 0.1);
+        computeUniforms.uTime.value = time;
+        computeUniforms.uCameraZ.value = cameraZ;
+        this.gpuCompute.compute();
+
+        const uniforms = this.points.material.uniforms;
+        uniforms.uFoamTexture.value = this.gpuCompute.getCurrentRenderTarget(this.variable).texture;
+        uniforms.uTime.value = time;
+        uniforms.uCameraZ.value = cameraZ;
+        uniforms.uViewportHeight.value = this.renderer.getDrawingBufferSize(this.viewportSize).y;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+        this.gpuCompute.dispose();
+    }
+}
+
+// The compute shader's flow on the CPU, for renderers without float render targets.
+// riverCurve is the river's centre x at a given z
+export class CpuFoamSimulation {
+    constructor(renderer, { count, riverHalfWidth, riverCurve, range, cameraZ, random = Math.random }) {
+        this.renderer = renderer;
+        this.count = Math.min(count, CPU_FOAM_COUNT);
+        this.riverHalfWidth = riverHalfWidth;
+        this.riverCurve = riverCurve;
+        this.range = range;
+
+        // z, lane across the river (-1..1) and speed jitter per particle
+        this.state = new Float32Array(this.count * 3);
+        for (let i = 0; i < this.count; i++) {
+            this.state[i * 3] = cameraZ + (random() * 2 - 1) * range;
+            this.state[i * 3 + 1] = random() * 2 - 1;
+            this.state[i * 3 + 2] = 0.8 + random() * 0.4;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        const material = createFoamMaterial(CPU_FOAM_VERTEX, { count: this.count, range, cameraZ, riverHalfWidth });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Particles follow the camera, so the initial bounds go stale
+        this.viewportSize = new THREE.Vector2();
+    }
+
+    flowSpeed(z, lane) {
+        // Same factors as FOAM_COMPUTE, with the curve's derivatives taken numerically
+        const h = 0.5;
+        const ahead = this.riverCurve(z + h);
+        const behind = this.riverCurve(z - h);
+        const slope = (ahead - behind) / (2 * h);
+        const bend = (ahead - 2 * this.riverCurve(z) + behind) / (h * h);
+
+        const widthFactor = 1.5 / (this.riverHalfWidth / Math.sqrt(1 + slope * slope));
+        const bankFactor = 1 - 0.6 * lane * lane;
+        const curvature = bend / Math.pow(1 + slope * slope, 1.5);
+        let bendFactor = 1 - Math.min(Math.abs(curvature) * 40, 0.6);
+        bendFactor += -Math.sign(curvature) * lane * Math.min(Math.abs(curvature) * 30, 0.4);
+
+        return FLOW_SPEED * widthFactor * bankFactor * bendFactor;
+    }
+
+    update(delta, time, cameraZ) {
+        // Clamp long frames (hidden tabs) so particles don't jump through the window
+        const step = Math.min(delta, 0.1);
+        const { state, range } = this;
+        const positions = this.points.geometry.attributes.position.array;
+
+        for (let i = 0; i < this.count; i++) {
+            const jitter = state[i * 3 + 2];
+            let z = state[i * 3];
+            let lane = state[i * 3 + 1];
+
+            z -= this.flowSpeed(z, lane) * jitter * step; // Water flows towards -z
+            lane += Math.sin(time * 0.7 + jitter * 40 + z * 0.3) * 0.05 * step;
+            lane = THREE.MathUtils.clamp(lane, -0.95, 0.95);
+
+            // Wrap particles that leave the window around the camera to its other end
+            if (z < cameraZ - range) {
+                z += range * 2;
+                lane = Math.random() * 2 - 1;
+            } else if (z > cameraZ + range) {
+                z -= range * 2;
+                lane = Math.random() * 2 - 1;
+            }
+
+            // After a camera jump (flying to a flag) scatter anything still outside over the window
+            if (Math.abs(z - cameraZ) > range) {
+                z = cameraZ + (Math.random() * 2 - 1) * range;
+            }
+
+            state[i * 3] = z;
+            state[i * 3 + 1] = lane;
+            positions[i * 3] = this.riverCurve(z) + lane * this.riverHalfWidth + Math.sin(time * 2 + z) * 0.03;
+            positions[i * 3 + 1] = -0.38; // Just above the water
+            positions[i * 3 + 2] = z;
+        }
+        this.points.geometry.attributes.position.needsUpdate = true;
+
+        const uniforms = this.points.material.uniforms;
+        uniforms.uCameraZ.value = cameraZ;
+        uniforms.uViewportHeight.value = this.renderer.getDrawingBufferSize(this.viewportSize).y;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
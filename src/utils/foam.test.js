@@ -0,0 +1,79 @@
+// Foam without float render targets: the support check, cleanup and the CPU fallback
+import * as THREE from 'three';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CpuFoamSimulation, FoamSimulation, supportsGpuFoam } from './foam';
+
+// Just the parts of a WebGLRenderer the simulations look at before rendering anything
+function createRenderer({ isWebGL2 = true, maxVertexTextures = 16, extensions = [] } = {}) {
+    return {
+        capabilities: { isWebGL2, maxVertexTextures },
+        extensions: { has: name => extensions.includes(name) },
+        getDrawingBufferSize: target => target.set(800, 600)
+    };
+}
+
+const riverCurve = z => Math.sin(z * 0.02) * 4.0 + Math.sin(z * 0.05) * 2.0 + Math.sin(z * 0.1) * 0.8;
+
+describe('supportsGpuFoam', () => {
+    it('needs renderable float textures', () => {
+        expect(supportsGpuFoam(createRenderer({ extensions: ['EXT_color_buffer_float'] }))).toBe(true);
+        expect(supportsGpuFoam(createRenderer({ extensions: ['EXT_color_buffer_half_float'] }))).toBe(false);
+        expect(supportsGpuFoam(createRenderer({
+            isWebGL2: false,
+            extensions: ['OES_texture_float', 'WEBGL_color_buffer_float']
+        }))).toBe(true);
+        expect(supportsGpuFoam(createRenderer({ isWebGL2: false, extensions: ['OES_texture_float'] }))).toBe(false);
+    });
+
+    it('needs vertex shader textures', () => {
+        const renderer = createRenderer({ maxVertexTextures: 0, extensions: ['EXT_color_buffer_float'] });
+        expect(supportsGpuFoam(renderer)).toBe(false);
+    });
+});
+
+describe('FoamSimulation', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('frees its initial state when the GPU can not run it', () => {
+        const dispose = vi.spyOn(THREE.DataTexture.prototype, 'dispose');
+        const renderer = createRenderer({ maxVertexTextures: 0 });
+
+        expect(() => new FoamSimulation(renderer, { count: 16, riverHalfWidth: 1.35, range: 100, cameraZ: 0 }))
+            .toThrow(/GPU foam unavailable/);
+        expect(dispose).toHaveBeenCalled();
+    });
+});
+
+describe('CpuFoamSimulation', () => {
+    const options = { count: 65536, riverHalfWidth: 1.35, riverCurve, range: 100, cameraZ: 0 };
+
+    it('runs fewer particles than the GPU tiers', () => {
+        const foam = new CpuFoamSimulation(createRenderer(), options);
+        expect(foam.count).toBe(1024);
+        expect(foam.points.geometry.attributes.position.count).toBe(1024);
+        foam.dispose();
+    });
+
+    it('moves particles downstream and keeps them in the river around the camera', () => {
+        const foam = new CpuFoamSimulation(createRenderer(), { ...options, count: 200 });
+        const startZ = Array.from({ length: foam.count }, (_, i) => foam.state[i * 3]);
+
+        foam.update(0.05, 1, 0);
+        const movedZ = Array.from({ length: foam.count }, (_, i) => foam.state[i * 3]);
+        const downstream = movedZ.filter((z, i) => z < startZ[i]).length;
+        expect(downstream).toBeGreaterThan(foam.count * 0.9); // The rest wrapped round the window
+
+        // A camera jump scatters everything over the new window
+        foam.update(0.05, 1.05, 500);
+        const positions = foam.points.geometry.attributes.position.array;
+        for (let i = 0; i < foam.count; i++) {
+            const x = positions[i * 3];
+            const z = positions[i * 3 + 2];
+            expect(Math.abs(z - 500)).toBeLessThanOrEqual(100);
+            expect(Math.abs(x - riverCurve(z))).toBeLessThan(1.35 + 0.05);
+        }
+        foam.dispose();
+    });
+});
@@ -0,0 +1,34 @@
+// Syntax highlighting for topic code blocks - only the languages the topics use are bundled
+import hljs from 'highlight.js/lib/core';
+import javascript from 'highlight.js/lib/languages/javascript';
+import glsl from 'highlight.js/lib/languages/glsl';
+import xml from 'highlight.js/lib/languages/xml';
+import css from 'highlight.js/lib/languages/css';
+import bash from 'highlight.js/lib/languages/bash';
+
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('glsl', glsl);
+hljs.registerLanguage('xml', xml);
+hljs.registerLanguage('css', css);
+hljs.registerLanguage('bash', bash);
+
+// Fence names authors are likely to use for the same languages
+hljs.registerAliases(['js', 'jsx', 'mjs'], { languageName: 'javascript' });
+hljs.registerAliases(['vert', 'frag', 'shader'], { languageName: 'glsl' });
+hljs.registerAliases(['html', 'svg'], { languageName: 'xml' });
+hljs.registerAliases(['shell', 'sh', 'console'], { languageName: 'bash' });
+
+// Highlight code for a fence language, returning '' when the language isn't supported
+// so markdown-it falls back to its own escaping
+export function highlightCode(code, language) {
+    if (!language || !hljs.getLanguage(language)) {
+        return '';
+    }
+    
+    try {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    } catch (error) {
+        console.warn(`Could not highlight ${language} code block:`, error);
+        return '';
+    }
+}
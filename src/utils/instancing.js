@@ -0,0 +1,121 @@
+// Shared geometry/material library and InstancedMesh batching for vegetation and props.
+// Instances carry their own transform and colour, so library materials are white and
+// the per-instance colour tints them.
+import * as THREE from 'three';
+
+function flatOnGround(geometry) {
+    // Bake the rotation for geometries that lie flat on the ground or water
+    geometry.rotateX(-Math.PI / 2);
+    return geometry;
+}
+
+// Create every shared geometry and material once per scene
+export function createInstanceLibrary() {
+    const foliage = new THREE.MeshStandardMaterial({ roughness: 0.9, metalness: 0.0 });
+    const terrain = new THREE.MeshStandardMaterial({ roughness: 0.8, metalness: 0.1, flatShading: true });
+    const reedFlat = new THREE.MeshStandardMaterial({ roughness: 0.9, metalness: 0.0, flatShading: true });
+    const stone = new THREE.MeshStandardMaterial({ roughness: 0.9, metalness: 0.1 });
+    const ground = new THREE.MeshStandardMaterial({ roughness: 1.0, metalness: 0.0 });
+    const mud = new THREE.MeshStandardMaterial({ roughness: 0.5, metalness: 0.2 });
+    const lilyPad = new THREE.MeshStandardMaterial({ roughness: 0.7, metalness: 0.1, side: THREE.DoubleSide });
+    const lilyFlower = new THREE.MeshStandardMaterial({ emissive: 0x443333, roughness: 0.5, metalness: 0.1 });
+    const sandRipple = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true, opacity: 0.3 });
+    
+    return {
+        // Vegetation
+        'tree-tall': { geometry: new THREE.ConeGeometry(0.15, 0.7, 5), material: foliage, castShadow: true, receiveShadow: true },
+        'tree-medium': { geometry: new THREE.ConeGeometry(0.2, 0.5, 5), material: foliage, castShadow: true, receiveShadow: true },
+        'bush': { geometry: new THREE.SphereGeometry(0.15, 6, 4), material: foliage, castShadow: true, receiveShadow: true },
+        'reed': { geometry: new THREE.CylinderGeometry(0.25, 1, 1, 4, 2), material: foliage, castShadow: true },
+        'reed-bank': { geometry: new THREE.CylinderGeometry(0.2, 1, 1, 4, 2), material: reedFlat, castShadow: true },
+        
+        // Rocks on the terrain (unit size, scaled per instance)
+        'rock': { geometry: new THREE.DodecahedronGeometry(0.8, 0), material: terrain, castShadow: true, receiveShadow: true },
+        
+        // Riverbank props
+        'pebble-round': { geometry: new THREE.SphereGeometry(1, 4, 3), material: stone, castShadow: true, receiveShadow: true },
+        'pebble-smooth': { geometry: new THREE.SphereGeometry(1, 5, 4), material: stone, castShadow: true, receiveShadow: true },
+        'pebble-dodeca': { geometry: new THREE.DodecahedronGeometry(1, 0), material: stone, castShadow: true, receiveShadow: true },
+        'pebble-icosa': { geometry: new THREE.IcosahedronGeometry(1, 0), material: stone, castShadow: true, receiveShadow: true },
+        'ground-patch': { geometry: flatOnGround(new THREE.CircleGeometry(1, 8)), material: ground, receiveShadow: true },
+        'mud-bubble': { geometry: new THREE.SphereGeometry(1, 4, 4), material: mud },
+        'sand-ripple': { geometry: flatOnGround(new THREE.RingGeometry(0.7, 1, 8, 1)), material: sandRipple },
+        'lily-pad': { geometry: flatOnGround(new THREE.CircleGeometry(1, 8)), material: lilyPad },
+        'lily-flower': { geometry: new THREE.SphereGeometry(1, 8, 6), material: lilyFlower }
+    };
+}
+
+// All geometries and materials in a library, e.g. to keep them when disposing part of a scene
+export function getLibraryResources(library) {
+    const resources = new Set();
+    Object.values(library).forEach(({ geometry, material }) => {
+        resources.add(geometry);
+        resources.add(material);
+    });
+    return resources;
+}
+
+export function disposeInstanceLibrary(library) {
+    getLibraryResources(library).forEach(resource => resource.dispose());
+}
+
+// Collects instances per library type and turns them into one InstancedMesh per type
+export class InstanceBatcher {
+    constructor(library) {
+        this.library = library;
+        this.pending = new Map(); // type -> [{ matrix, color }]
+    }
+    
+    // Queue an instance using the transform of an Object3D (position/rotation/scale)
+    add(type, transform, color) {
+        if (!this.library[type]) {
+            throw new Error(`Unknown instance type "${type}"`);
+        }
+        
+        transform.updateMatrix();
+        if (!this.pending.has(type)) {
+            this.pending.set(type, []);
+        }
+        this.pending.get(type).push({
+            matrix: transform.matrix.clone(),
+            color: new THREE.Color(color)
+        });
+    }
+    
+    get size() {
+        let count = 0;
+        this.pending.forEach(instances => { count += instances.length; });
+        return count;
+    }
+    
+    // Build the queued instances into parent and clear the queue
+    build(parent) {
+        const meshes = [];
+        
+        this.pending.forEach((instances, type) => {
+            const { geometry, material, castShadow = false, receiveShadow = false } = this.library[type];
+            const mesh = new THREE.InstancedMesh(geometry, material, instances.length);
+            
+            instances.forEach(({ matrix, color }, index) => {
+                mesh.setMatrixAt(index, matrix);
+                mesh.setColorAt(index, color);
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            
+            // Bounds of the whole batch, so off-screen batches are still culled
+            mesh.computeBoundingSphere();
+            
+            mesh.castShadow = castShadow;
+            mesh.receiveShadow = receiveShadow;
+            mesh.name = `instances-${type}`;
+            mesh.userData.instanceType = type;
+            
+            parent.add(mesh);
+            meshes.push(mesh);
+        });
+        
+        this.pending.clear();
+        return meshes;
+    }
+}
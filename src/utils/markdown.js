@@ -0,0 +1,99 @@
+// Markdown pipeline for topic pages - CommonMark (markdown-it) with tables,
+// highlighted fenced code, heading anchors and front matter
+import MarkdownIt from 'markdown-it';
+import anchor from 'markdown-it-anchor';
+import { highlightCode } from './highlight';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const markdownRenderer = new MarkdownIt({
+    html: true,
+    linkify: false,
+    typographer: false,
+    langPrefix: 'language-',
+    highlight: highlightCode
+});
+
+// Give every heading an id so sections can be linked to
+markdownRenderer.use(anchor, {
+    level: 1,
+    tabIndex: false
+});
+
+// Parse a single front matter value: quoted strings, numbers, booleans and [a, b] lists
+function parseFrontMatterValue(raw) {
+    const value = raw.trim();
+    
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner === '' ? [] : inner.split(',').map(parseFrontMatterValue);
+    }
+    
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) return quoted[2];
+    
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+    
+    return value;
+}
+
+// Split a "---" delimited front matter block (flat "key: value" lines) from the markdown body
+export function parseFrontMatter(markdown) {
+    const match = markdown.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { data: {}, body: markdown };
+    }
+    
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line) => {
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+        
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        
+        const key = line.slice(0, separator).trim();
+        if (key) {
+            data[key] = parseFrontMatterValue(line.slice(separator + 1));
+        }
+    });
+    
+    return { data, body: markdown.slice(match[0].length) };
+}
+
+// Render topic markdown to HTML, returning the front matter alongside
+export function renderMarkdown(markdown) {
+    if (!markdown) {
+        return { html: '', data: {} };
+    }
+    
+    const { data, body } = parseFrontMatter(markdown);
+    return { html: markdownRenderer.render(body), data };
+}
+
+// Short plain-text summary of a topic: front matter "summary", else its first paragraph
+export function extractSummary(markdown, maxLength = 160) {
+    if (!markdown) return '';
+    
+    const { data, body } = parseFrontMatter(markdown);
+    let summary = typeof data.summary === 'string' ? data.summary : '';
+    
+    if (!summary) {
+        const tokens = markdownRenderer.parse(body, {});
+        const index = tokens.findIndex(token => token.type === 'paragraph_open');
+        if (index !== -1 && tokens[index + 1] && tokens[index + 1].type === 'inline') {
+            summary = tokens[index + 1].children
+                .filter(child => child.type === 'text' || child.type === 'code_inline')
+                .map(child => child.content)
+                .join('');
+        }
+    }
+    
+    summary = summary.replace(/\s+/g, ' ').trim();
+    if (summary.length <= maxLength) return summary;
+    
+    // Cut at a word boundary
+    const cut = summary.slice(0, maxLength);
+    return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength) + '…';
+}
@@ -0,0 +1,73 @@
+// Golden-HTML fixtures for the topic markdown pipeline: every shipped topic in
+// public/assets/topics and every __fixtures__/markdown/<name>.md must render to exactly the
+// checked-in .html (topics/<name>.html for the shipped topics)
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { extractSummary, parseFrontMatter, renderMarkdown } from './markdown';
+
+const FIXTURE_DIR = new URL('./__fixtures__/markdown/', import.meta.url);
+const TOPIC_DIR = new URL('../../public/assets/topics/', import.meta.url);
+const TOPIC_GOLDEN_DIR = new URL('./topics/', FIXTURE_DIR);
+
+const markdownNames = directory => readdirSync(directory)
+    .filter(file => file.endsWith('.md'))
+    .map(file => file.slice(0, -'.md'.length));
+
+const fixtures = markdownNames(FIXTURE_DIR);
+const topics = markdownNames(TOPIC_DIR);
+
+function readFixture(name, extension) {
+    return readFileSync(new URL(`${name}${extension}`, FIXTURE_DIR), 'utf8');
+}
+
+describe('renderMarkdown fixtures', () => {
+    it('covers front matter, heading anchors, fenced code and raw HTML', () => {
+        expect(fixtures).toEqual(expect.arrayContaining(['front-matter', 'heading-anchors', 'fenced-code', 'raw-html']));
+    });
+
+    it.each(fixtures)('%s.md renders to %s.html', (name) => {
+        expect(renderMarkdown(readFixture(name, '.md')).html).toBe(readFixture(name, '.html'));
+    });
+});
+
+describe('renderMarkdown shipped topics', () => {
+    it('has topics to check', () => {
+        expect(topics.length).toBeGreaterThan(0);
+    });
+
+    it.each(topics)('%s.md renders to topics/%s.html', (name) => {
+        const golden = new URL(`${name}.html`, TOPIC_GOLDEN_DIR);
+        expect(existsSync(golden), `missing golden output for ${name}.md`).toBe(true);
+
+        const markdown = readFileSync(new URL(`${name}.md`, TOPIC_DIR), 'utf8');
+        expect(renderMarkdown(markdown).html).toBe(readFileSync(golden, 'utf8'));
+    });
+});
+
+describe('parseFrontMatter', () => {
+    it('parses strings, numbers, booleans and lists', () => {
+        const { data, body } = parseFrontMatter(readFixture('front-matter', '.md'));
+        expect(data).toEqual({
+            title: 'Shaders in Three.js',
+            summary: 'Writing custom GLSL materials',
+            order: 3,
+            draft: false,
+            tags: ['webgl', 'glsl']
+        });
+        expect(body).toBe('Shaders run on the **GPU**.\n');
+    });
+
+    it('leaves markdown without front matter untouched', () => {
+        expect(parseFrontMatter('# Title\n')).toEqual({ data: {}, body: '# Title\n' });
+    });
+});
+
+describe('extractSummary', () => {
+    it('prefers the front matter summary', () => {
+        expect(extractSummary(readFixture('front-matter', '.md'))).toBe('Writing custom GLSL materials');
+    });
+
+    it('falls back to the first paragraph, cut at a word boundary', () => {
+        expect(extractSummary('# Title\n\nOne two three four five', 12)).toBe('One two…');
+    });
+});
@@ -0,0 +1,120 @@
+// Quality presets and frame-time tracking for adaptive rendering quality
+
+export const QUALITY_TIERS = ['low', 'medium', 'high', 'ultra'];
+
+// "high" matches the settings the scene always used before tiers existed, except foam,
+// which is simulated on the GPU and scales to far more particles
+export const QUALITY_PRESETS = {
+    low: {
+        shadows: false,
+        shadowMapSize: 512,
+        maxPixelRatio: 1,
+        grassDensity: 0.25,
+        vegetationDensity: 0.4,
+        foamCount: 1024,
+        rainCount: 2000,
+        fogDensity: 0.02,
+        terrainSegments: 10, // Heightfield quads per chunk side, only applied on a full rebuild
+        visibleRadius: 50,
+        waterShader: false // Animated shader water; low keeps the plain material
+    },
+    medium: {
+        shadows: true,
+        shadowMapSize: 1024,
+        maxPixelRatio: 1.25,
+        grassDensity: 0.5,
+        vegetationDensity: 0.7,
+        foamCount: 4096,
+        rainCount: 5000,
+        fogDensity: 0.015,
+        terrainSegments: 14,
+        visibleRadius: 65,
+        waterShader: true
+    },
+    high: {
+        shadows: true,
+        shadowMapSize: 2048,
+        maxPixelRatio: 2,
+        grassDensity: 1,
+        vegetationDensity: 1,
+        foamCount: 16384,
+        rainCount: 10000,
+        fogDensity: 0.01,
+        terrainSegments: 20,
+        visibleRadius: 80,
+        waterShader: true
+    },
+    ultra: {
+        shadows: true,
+        shadowMapSize: 4096,
+        maxPixelRatio: 2.5,
+        grassDensity: 1.5,
+        vegetationDensity: 1.3,
+        foamCount: 65536,
+        rainCount: 20000,
+        fogDensity: 0.007,
+        terrainSegments: 28,
+        visibleRadius: 100,
+        waterShader: true
+    }
+};
+
+export const QUALITY_STORAGE_KEY = 'portfolio-quality';
+
+// Saved quality setting: 'auto' or one of QUALITY_TIERS
+export function loadQualitySetting() {
+    try {
+        const value = window.localStorage.getItem(QUALITY_STORAGE_KEY);
+        return value === 'auto' || QUALITY_TIERS.includes(value) ? value : null;
+    } catch (error) {
+        // Storage can be disabled (private mode, sandboxed iframes)
+        return null;
+    }
+}
+
+export function saveQualitySetting(value) {
+    try {
+        window.localStorage.setItem(QUALITY_STORAGE_KEY, value);
+    } catch (error) {
+        console.warn('Could not save quality setting:', error);
+    }
+}
+
+// Pick a tier from an average frame time in milliseconds. Frame times are capped by
+// the display refresh rate, so only displays faster than 60Hz can reach ultra
+export function tierForFrameTime(averageMs) {
+    if (averageMs < 10) return 'ultra';
+    if (averageMs < 20) return 'high';
+    if (averageMs < 33) return 'medium';
+    return 'low';
+}
+
+// Rolling average over the last N frame times
+export class FrameTimeMonitor {
+    constructor(sampleSize = 120) {
+        this.sampleSize = sampleSize;
+        this.samples = [];
+        this.total = 0;
+    }
+    
+    addSample(ms) {
+        this.samples.push(ms);
+        this.total += ms;
+        if (this.samples.length > this.sampleSize) {
+            this.total -= this.samples.shift();
+        }
+    }
+    
+    get isFull() {
+        return this.samples.length >= this.sampleSize;
+    }
+    
+    get average() {
+        return this.samples.length > 0 ? this.total / this.samples.length : 0;
+    }
+    
+    reset() {
+        this.samples = [];
+        this.total = 0;
+    }
+}
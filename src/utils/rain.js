@@ -0,0 +1,120 @@
+// Rain streaks animated entirely in the vertex shader. Drops live in a box that wraps
+// around the camera, so the same buffer is reused however far the view travels.
+import * as THREE from 'three';
+
+const RAIN_VERTEX = /* glsl */ `
+#include <fog_pars_vertex>
+
+attribute float aEnd; // 0 for the top of a streak, 1 for the bottom
+attribute float aSpeed;
+
+uniform float uTime;
+uniform vec3 uCameraPosition;
+uniform vec3 uBoxSize;
+uniform vec2 uWind;
+uniform float uLength;
+
+void main() {
+    // Fall and wrap inside a box centred on the camera
+    vec3 boxMin = uCameraPosition - uBoxSize * 0.5;
+    vec3 drop = position;
+    drop.y -= uTime * aSpeed;
+    drop.xz += uWind * uTime * aSpeed * 0.1;
+    drop = boxMin + mod(drop - boxMin, uBoxSize);
+
+    // Streaks lean with the wind
+    vec3 streak = vec3(uWind.x * 0.1, -1.0, uWind.y * 0.1) * uLength * aEnd;
+    vec4 mvPosition = viewMatrix * vec4(drop + streak, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+}
+`;
+
+const RAIN_FRAGMENT = /* glsl */ `
+#include <common>
+#include <fog_pars_fragment>
+
+uniform vec3 uColor;
+uniform float uOpacity;
+
+void main() {
+    gl_FragColor = vec4(uColor, uOpacity);
+
+    #include <fog_fragment>
+}
+`;
+
+export class RainEffect {
+    constructor({ count, boxSize = new THREE.Vector3(40, 20, 40), random = Math.random }) {
+        this.count = count;
+        this.boxSize = boxSize;
+
+        const positions = new Float32Array(count * 2 * 3);
+        const ends = new Float32Array(count * 2);
+        const speeds = new Float32Array(count * 2);
+        for (let i = 0; i < count; i++) {
+            const x = random() * boxSize.x;
+            const y = random() * boxSize.y;
+            const z = random() * boxSize.z;
+            const speed = 12 + random() * 6;
+
+            // Both ends of a streak share the drop's position; the shader stretches the bottom one
+            for (let end = 0; end < 2; end++) {
+                const vertex = i * 2 + end;
+                positions.set([x, y, z], vertex * 3);
+                ends[vertex] = end;
+                speeds[vertex] = speed;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aEnd', new THREE.BufferAttribute(ends, 1));
+        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    uTime: { value: 0 },
+                    uCameraPosition: { value: new THREE.Vector3() },
+                    uBoxSize: { value: boxSize.clone() },
+                    uWind: { value: new THREE.Vector2() },
+                    uLength: { value: 0.35 },
+                    uColor: { value: new THREE.Color(0xaec2d6) },
+                    uOpacity: { value: 0 }
+                }
+            ]),
+            vertexShader: RAIN_VERTEX,
+            fragmentShader: RAIN_FRAGMENT,
+            transparent: true,
+            depthWrite: false,
+            fog: true
+        });
+
+        this.mesh = new THREE.LineSegments(geometry, material);
+        this.mesh.frustumCulled = false; // Drops are placed around the camera in the shader
+        this.mesh.visible = false;
+    }
+
+    // intensity 0..1 fades the rain in and out; a stronger wind ({ x, z }) slants the streaks more
+    update(time, cameraPosition, intensity, wind) {
+        this.mesh.visible = intensity > 0.01;
+        if (!this.mesh.visible) return;
+
+        // Light rain draws fewer drops, not just fainter ones
+        this.mesh.geometry.setDrawRange(0, Math.ceil(this.count * intensity) * 2);
+
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.uTime.value = time;
+        uniforms.uCameraPosition.value.copy(cameraPosition);
+        uniforms.uWind.value.set(wind.x, wind.z);
+        uniforms.uOpacity.value = 0.45 * intensity;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
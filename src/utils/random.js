@@ -0,0 +1,49 @@
+// Seeded random number helpers so the whole world can be rebuilt from a single seed
+
+// Hash any mix of numbers and strings into an unsigned 32-bit seed (FNV-1a)
+export function hashSeed(...parts) {
+    let hash = 2166136261;
+    
+    for (const part of parts) {
+        const text = String(part);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        
+        // Separator so ('ab', 'c') and ('a', 'bc') hash differently
+        hash ^= 0x1f;
+        hash = Math.imul(hash, 16777619);
+    }
+    
+    return hash >>> 0;
+}
+
+// Create a PRNG (mulberry32) returning floats in [0, 1), a drop-in for Math.random
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick the world seed: explicit option first, then ?seed= in the URL, else a fresh one
+export function resolveWorldSeed(seed) {
+    if (seed !== undefined && seed !== null && seed !== '') {
+        return String(seed);
+    }
+    
+    if (typeof window !== 'undefined') {
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        if (urlSeed) {
+            return urlSeed;
+        }
+    }
+    
+    return String(Math.floor(Math.random() * 4294967296));
+}
@@ -0,0 +1,60 @@
+// Allow-list sanitizer for rendered topic HTML - topic markdown can come from outside
+// contributors, so only plain document markup survives before it reaches innerHTML
+import DOMPurify from 'dompurify';
+
+const ALLOWED_TAGS = [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+    'strong', 'em', 'b', 'i', 's', 'del', 'ins', 'sub', 'sup', 'mark', 'small', 'kbd', 'abbr',
+    'a', 'img', 'code', 'pre', 'span',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+];
+
+const ALLOWED_ATTR = ['href', 'title', 'alt', 'src', 'id', 'class', 'colspan', 'rowspan', 'align', 'start'];
+
+// Only web, mail and relative URLs - no javascript:, data:, vbscript: and friends
+const ALLOWED_URI_REGEXP = /^(?:(?:https?|mailto):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Class names the markdown renderer and highlighter produce
+const ALLOWED_CLASS_PATTERN = /^(language-[\w-]+|hljs(-[\w-]+)?)$/;
+
+// DOMPurify prefixes every id with this (SANITIZE_NAMED_PROPS), so topic content can't clobber
+// globals like window.someId or document properties. In-page links keep the bare fragment
+export const TOPIC_ID_PREFIX = 'user-content-';
+
+const purifier = DOMPurify();
+
+purifier.addHook('afterSanitizeAttributes', (node) => {
+    if (node.hasAttribute('class')) {
+        const classes = node.getAttribute('class').split(/\s+/).filter(name => ALLOWED_CLASS_PATTERN.test(name));
+        if (classes.length > 0) {
+            node.setAttribute('class', classes.join(' '));
+        } else {
+            node.removeAttribute('class');
+        }
+    }
+    
+    // DOMPurify lets data: URIs through on images whatever ALLOWED_URI_REGEXP says
+    if (node.hasAttribute('src') && /^\s*data:/i.test(node.getAttribute('src'))) {
+        node.removeAttribute('src');
+    }
+    
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+        // External links open in a new tab without access to this window
+        if (/^https?:\/\//i.test(node.getAttribute('href'))) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+});
+
+export function sanitizeTopicHtml(html) {
+    return purifier.sanitize(html, {
+        ALLOWED_TAGS,
+        ALLOWED_ATTR,
+        ALLOWED_URI_REGEXP,
+        ALLOW_DATA_ATTR: false,
+        ALLOW_ARIA_ATTR: false,
+        SANITIZE_NAMED_PROPS: true
+    });
+}
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+// XSS payloads that must never survive the topic HTML allow-list
+import { describe, expect, it } from 'vitest';
+import { TOPIC_ID_PREFIX, sanitizeTopicHtml } from './sanitize';
+
+// Sanitize and parse the result so assertions look at real elements and attributes
+function sanitizeToFragment(html) {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeTopicHtml(html);
+    return template.content;
+}
+
+function allAttributes(fragment) {
+    return Array.from(fragment.querySelectorAll('*'))
+        .flatMap(element => Array.from(element.attributes, attribute => attribute.name.toLowerCase()));
+}
+
+describe('sanitizeTopicHtml', () => {
+    it('keeps ordinary document markup', () => {
+        const html = '<h2>Intro</h2><p>Some <strong>bold</strong> and <code>code</code>.</p>';
+        expect(sanitizeTopicHtml(html)).toBe(html);
+    });
+
+    it('prefixes ids so content can not clobber globals like window.location', () => {
+        const fragment = sanitizeToFragment('<h2 id="intro">Intro</h2><img id="location" src="a.png"><a id="cookie">x</a>');
+        const ids = Array.from(fragment.querySelectorAll('[id]'), element => element.id);
+        expect(ids).toEqual([`${TOPIC_ID_PREFIX}intro`, `${TOPIC_ID_PREFIX}location`, `${TOPIC_ID_PREFIX}cookie`]);
+    });
+
+    it('removes script elements and their content', () => {
+        const fragment = sanitizeToFragment('<p>Hi</p><script>alert(1)</script><SCRIPT src="//evil.example/x.js"></SCRIPT>');
+        expect(fragment.querySelector('script')).toBeNull();
+        expect(fragment.textContent).not.toContain('alert');
+    });
+
+    it.each([
+        '<img src="x.png" onerror="alert(1)">',
+        '<a href="https://example.com" onclick="alert(1)">link</a>',
+        '<p onmouseover="alert(1)">text</p>',
+        '<span style="background:url(javascript:alert(1))">text</span>'
+    ])('strips event handler and style attributes from %s', (html) => {
+        const attributes = allAttributes(sanitizeToFragment(html));
+        expect(attributes.filter(name => name.startsWith('on'))).toEqual([]);
+        expect(attributes).not.toContain('style');
+    });
+
+    it.each([
+        ['href', '<a href="javascript:alert(1)">x</a>'],
+        ['href', '<a href="JaVaScRiPt:alert(1)">x</a>'],
+        ['href', '<a href="  javascript:alert(1)">x</a>'],
+        ['href', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>'],
+        ['href', '<a href="vbscript:msgbox(1)">x</a>'],
+        ['src', '<img src="javascript:alert(1)">'],
+        ['src', '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">']
+    ])('drops a dangerous %s in %s', (attribute, html) => {
+        const element = sanitizeToFragment(html).querySelector('a, img');
+        expect(element).not.toBeNull();
+        expect(element.hasAttribute(attribute)).toBe(false);
+    });
+
+    it('keeps web, mail and relative URLs', () => {
+        const fragment = sanitizeToFragment(
+            '<a href="https://example.com/a">a</a><a href="mailto:me@example.com">b</a>' +
+            '<a href="#section">c</a><a href="../topics/shaders.md">d</a><img src="images/flow.png">'
+        );
+        expect(Array.from(fragment.querySelectorAll('a'), link => link.getAttribute('href'))).toEqual([
+            'https://example.com/a',
+            'mailto:me@example.com',
+            '#section',
+            '../topics/shaders.md'
+        ]);
+        expect(fragment.querySelector('img').getAttribute('src')).toBe('images/flow.png');
+    });
+
+    it.each([
+        '<iframe src="https://evil.example"></iframe>',
+        '<object data="https://evil.example/x.swf"></object>',
+        '<embed src="https://evil.example/x.swf">',
+        '<svg onload="alert(1)"><circle r="1"></circle></svg>',
+        '<form action="https://evil.example"><input name="q"></form>',
+        '<style>body { display: none }</style>',
+        '<math><mi xlink:href="javascript:alert(1)">x</mi></math>'
+    ])('removes the disallowed element in %s', (html) => {
+        const fragment = sanitizeToFragment(html);
+        expect(fragment.querySelector('iframe, object, embed, svg, form, input, style, math')).toBeNull();
+        expect(allAttributes(fragment).filter(name => name.startsWith('on'))).toEqual([]);
+    });
+
+    it('keeps only language-* and hljs* class names', () => {
+        const fragment = sanitizeToFragment(
+            '<pre><code class="language-js evil">x</code></pre>' +
+            '<span class="hljs-keyword hljs">y</span>' +
+            '<p class="modal-overlay">z</p>' +
+            '<span class="languagejs hljsx xhljs">w</span>'
+        );
+        expect(fragment.querySelector('code').getAttribute('class')).toBe('language-js');
+        expect(fragment.querySelector('span').getAttribute('class')).toBe('hljs-keyword hljs');
+        expect(fragment.querySelector('p').hasAttribute('class')).toBe(false);
+        expect(fragment.querySelectorAll('span')[1].hasAttribute('class')).toBe(false);
+    });
+
+    it('opens only http(s) links in a new tab without an opener', () => {
+        const fragment = sanitizeToFragment(
+            '<a href="https://example.com">a</a><a href="HTTP://example.com">b</a>' +
+            '<a href="#intro" target="_blank">c</a><a href="mailto:me@example.com">d</a><a href="/local">e</a>'
+        );
+        const links = Array.from(fragment.querySelectorAll('a'));
+        links.slice(0, 2).forEach((link) => {
+            expect(link.getAttribute('target')).toBe('_blank');
+            expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+        });
+        links.slice(2).forEach((link) => {
+            expect(link.hasAttribute('target')).toBe(false);
+            expect(link.hasAttribute('rel')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+// Seasonal biome palettes for the terrain, vegetation, water and sky
+
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// "summer" matches the colours the scene always used before seasons existed
+export const SEASON_PALETTES = {
+    spring: {
+        ground: 0x3d2f12,
+        terrain: 0x4c8f3f,
+        bankEdge: 0x367a30,
+        bankGrass: 0x46893d,
+        grass: 0xa6f07a,
+        grassEmissive: 0x142a12,
+        foliage: [0x2f6b2a, 0x4a8a3a, 0x7aa84f], // Tall tree, medium tree, bush
+        reed: 0x7a9d4f,
+        lilyPad: 0x2a8040,
+        lilyFlower: 0xffc2dc,
+        waterShallow: 0x35b0a4,
+        waterDeep: 0x0d4a6b,
+        waterFallback: 0x0a72b0,
+        skyTop: 0x5aa0e8,
+        skyHorizon: 0xbfe6f2,
+        skyTint: 0.1, // How far the sky palette is pulled towards skyTop/skyHorizon
+        snow: 0, // Snow caps on mounds, 0..1
+        frozen: 0 // Ice over the river, 0..1
+    },
+    summer: {
+        ground: 0x3a2a0a,
+        terrain: 0x3b7a37,
+        bankEdge: 0x2d6a29,
+        bankGrass: 0x3a7a35,
+        grass: 0x91e56e,
+        grassEmissive: 0x112211,
+        foliage: [0x225522, 0x336633, 0x447744],
+        reed: 0x6a8d4a,
+        lilyPad: 0x1a6b34,
+        lilyFlower: 0xffffff,
+        waterShallow: 0x2fa5a0,
+        waterDeep: 0x0a3f66,
+        waterFallback: 0x0066aa,
+        skyTop: 0x4a90e2,
+        skyHorizon: 0x87ceeb,
+        skyTint: 0,
+        snow: 0,
+        frozen: 0
+    },
+    autumn: {
+        ground: 0x3f2a10,
+        terrain: 0x6b6a30,
+        bankEdge: 0x55602c,
+        bankGrass: 0x66703a,
+        grass: 0xd2bb62,
+        grassEmissive: 0x1f170a,
+        foliage: [0xa8431d, 0xd0842a, 0x8a6a2a],
+        reed: 0x9c7f4a,
+        lilyPad: 0x5d6b2a,
+        lilyFlower: 0xf3e2c0,
+        waterShallow: 0x3b9488,
+        waterDeep: 0x12384f,
+        waterFallback: 0x1a5a80,
+        skyTop: 0x5b7fc7,
+        skyHorizon: 0xf2c99a,
+        skyTint: 0.2,
+        snow: 0,
+        frozen: 0
+    },
+    winter: {
+        ground: 0x4a4640,
+        terrain: 0x6f7763,
+        bankEdge: 0x5d6856,
+        bankGrass: 0x6d7a62,
+        grass: 0xc3cdb0,
+        grassEmissive: 0x161a1c,
+        foliage: [0x1f4030, 0x2b4a3a, 0x6b5a4a], // Evergreens and bare shrubs
+        reed: 0xa89a78,
+        lilyPad: 0x4a5a3a,
+        lilyFlower: 0xe8eef2,
+        waterShallow: 0xbfe3ef,
+        waterDeep: 0x7fb2cf,
+        waterFallback: 0x9cc9e0,
+        skyTop: 0x8fadd6,
+        skyHorizon: 0xdfe8f0,
+        skyTint: 0.3,
+        snow: 1,
+        frozen: 1,
+        snowColor: 0xf4f8fb,
+        iceColor: 0xdff1f8
+    }
+};
+
+export const SEASON_PARAM = 'season';
+export const SEASON_STORAGE_KEY = 'portfolio-season';
+
+// Meteorological seasons, northern hemisphere (Dec-Feb is winter)
+export function getSeasonForDate(date = new Date()) {
+    const byQuarter = ['winter', 'spring', 'summer', 'autumn'];
+    return byQuarter[Math.floor(((date.getMonth() + 1) % 12) / 3)];
+}
+
+// Saved season setting: 'auto' or one of SEASONS
+export function loadSeasonSetting() {
+    try {
+        const value = window.localStorage.getItem(SEASON_STORAGE_KEY);
+        return value === 'auto' || SEASONS.includes(value) ? value : null;
+    } catch (error) {
+        // Storage can be disabled (private mode, sandboxed iframes)
+        return null;
+    }
+}
+
+export function saveSeasonSetting(value) {
+    try {
+        window.localStorage.setItem(SEASON_STORAGE_KEY, value);
+    } catch (error) {
+        console.warn('Could not save season setting:', error);
+    }
+}
+
+// Explicit option, then ?season= from the URL, then the saved choice, then 'auto'
+export function resolveSeasonSetting(season) {
+    const isValid = value => value === 'auto' || SEASONS.includes(value);
+    if (isValid(season)) {
+        return season;
+    }
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get(SEASON_PARAM);
+        if (isValid(fromUrl)) {
+            return fromUrl;
+        }
+    } catch (error) {
+        // No usable location (e.g. sandboxed iframe)
+    }
+    return loadSeasonSetting() || 'auto';
+}
+
+// Season actually shown for a setting; 'auto' follows the calendar
+export function getActiveSeason(setting, date = new Date()) {
+    return SEASONS.includes(setting) ? setting : getSeasonForDate(date);
+}
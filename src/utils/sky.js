@@ -0,0 +1,150 @@
+// Procedural sky dome: a zenith-to-horizon gradient with sun scattering, a sun disk and
+// optional drifting clouds. Below the horizon it is exactly the horizon colour, which is
+// also used for the fog, so distant terrain fades into the sky without a visible band.
+import * as THREE from 'three';
+
+// Themes tint the time-of-day palette and set the clouds. Partial themes are merged over "default".
+export const SKY_THEMES = {
+    default: {
+        topTint: 0x4a90e2,
+        horizonTint: 0x87ceeb,
+        tintStrength: 0,
+        clouds: true,
+        cloudCoverage: 0.45,
+        cloudSpeed: 0.02, // Cloud texture units per second along the wind
+        cloudColor: 0xffffff,
+        sunHalo: 1
+    },
+    clear: {
+        clouds: false,
+        sunHalo: 1.2
+    },
+    pastel: {
+        topTint: 0x9aa8ff,
+        horizonTint: 0xffc4d6,
+        tintStrength: 0.35,
+        cloudCoverage: 0.55,
+        cloudColor: 0xfff0f6,
+        sunHalo: 0.8
+    },
+    golden: {
+        topTint: 0x5b7fc7,
+        horizonTint: 0xffc978,
+        tintStrength: 0.3,
+        cloudCoverage: 0.35,
+        cloudColor: 0xfff1d6,
+        sunHalo: 1.5
+    }
+};
+
+// Resolve a theme name or object into a complete theme
+export function resolveSkyTheme(theme = 'default') {
+    const overrides = typeof theme === 'string' ? SKY_THEMES[theme] : theme;
+    return { ...SKY_THEMES.default, ...(overrides || {}) };
+}
+
+const SKY_VERTEX = /* glsl */ `
+varying vec3 vDirection;
+
+void main() {
+    vDirection = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const SKY_FRAGMENT = /* glsl */ `
+uniform vec3 uTopColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+uniform float uSunDiskStrength;
+uniform float uHaloStrength;
+uniform float uCloudCoverage;
+uniform vec2 uCloudOffset;
+uniform vec3 uCloudColor;
+uniform vec3 uCloudShadeColor;
+
+varying vec3 vDirection;
+
+float skyHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float skyNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(skyHash(i), skyHash(i + vec2(1.0, 0.0)), u.x),
+        mix(skyHash(i + vec2(0.0, 1.0)), skyHash(i + vec2(1.0, 1.0)), u.x),
+        u.y
+    );
+}
+
+float skyFbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 5; i++) {
+        value += amplitude * skyNoise(p);
+        p = p * 2.03 + vec2(17.0, 9.0);
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+void main() {
+    vec3 direction = normalize(vDirection);
+    float height = max(direction.y, 0.0);
+    vec3 color = mix(uHorizonColor, uTopColor, pow(height, 0.6));
+
+    // Only above the horizon, so everything below stays the fog colour
+    float aboveHorizon = smoothstep(-0.02, 0.1, direction.y);
+
+    // Cheap forward scattering: a wide warm glow near the horizon and a tighter halo around the sun
+    float sunAmount = max(dot(direction, normalize(uSunDirection)), 0.0);
+    vec3 scattering = uSunColor * (pow(sunAmount, 8.0) * 0.25 * (1.0 - height) + pow(sunAmount, 64.0) * 0.3);
+    color += scattering * uHaloStrength * aboveHorizon;
+
+    // Sun disk
+    color += uSunColor * smoothstep(0.9994, 0.9997, sunAmount) * uSunDiskStrength * aboveHorizon;
+
+    // Clouds on a virtual plane overhead, thinning out towards the horizon
+    if (uCloudCoverage > 0.0 && direction.y > 0.0) {
+        vec2 cloudUv = direction.xz / (direction.y + 0.15) * 0.8 + uCloudOffset;
+        float density = skyFbm(cloudUv);
+        float cloud = smoothstep(1.0 - uCloudCoverage, 1.0 - uCloudCoverage + 0.25, density);
+        cloud *= smoothstep(0.02, 0.2, direction.y);
+
+        vec3 cloudColor = mix(uCloudShadeColor, uCloudColor, skyFbm(cloudUv * 1.7 + 3.1));
+        cloudColor += scattering * 0.5; // Lit edges towards the sun
+        color = mix(color, cloudColor, cloud * 0.9);
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+export function createSkyMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uTopColor: { value: new THREE.Color(0x4a90e2) },
+            uHorizonColor: { value: new THREE.Color(0x87ceeb) },
+            uSunDirection: { value: new THREE.Vector3(0, 1, 0) },
+            uSunColor: { value: new THREE.Color(0xffffff) },
+            uSunDiskStrength: { value: 1 },
+            uHaloStrength: { value: 1 },
+            uCloudCoverage: { value: 0 },
+            uCloudOffset: { value: new THREE.Vector2() },
+            uCloudColor: { value: new THREE.Color(0xffffff) },
+            uCloudShadeColor: { value: new THREE.Color(0xcccccc) }
+        },
+        vertexShader: SKY_VERTEX,
+        fragmentShader: SKY_FRAGMENT,
+        side: THREE.BackSide,
+        depthWrite: false,
+        fog: false
+    });
+}
@@ -0,0 +1,92 @@
+// Heightfield for the land: seeded value-noise hills with a valley carved along the river.
+// Terrain chunks, grass, vegetation, flags and the flamingo all read the same heights.
+
+// The river surface; the carved channel bottom lies below it
+export const WATER_LEVEL = -0.4;
+
+// Integer lattice hash (seeded) to a float in [0, 1)
+function latticeValue(seed, x, z) {
+    let hash = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1);
+    hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated value noise in [0, 1)
+export function createValueNoise2D(seed) {
+    return (x, z) => {
+        const x0 = Math.floor(x);
+        const z0 = Math.floor(z);
+        const fx = x - x0;
+        const fz = z - z0;
+        const ux = fx * fx * (3 - 2 * fx);
+        const uz = fz * fz * (3 - 2 * fz);
+
+        const a = latticeValue(seed, x0, z0);
+        const b = latticeValue(seed, x0 + 1, z0);
+        const c = latticeValue(seed, x0, z0 + 1);
+        const d = latticeValue(seed, x0 + 1, z0 + 1);
+        return (a + (b - a) * ux) + ((c + (d - c) * ux) - (a + (b - a) * ux)) * uz;
+    };
+}
+
+function smoothstep(value, edge0, edge1) {
+    const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+export class TerrainHeightField {
+    // riverCurve(z) gives the river centre line, riverHalfWidth its half width at the surface
+    constructor({ seed, riverCurve, riverHalfWidth, baseHeight = -0.3, hillHeight = 1.6, bedHeight = -0.85 }) {
+        this.noise = createValueNoise2D(seed >>> 0);
+        this.riverCurve = riverCurve;
+        this.riverHalfWidth = riverHalfWidth;
+        this.baseHeight = baseHeight; // Flat land along the banks
+        this.hillHeight = hillHeight; // Tallest hills away from the river
+        this.bedHeight = bedHeight; // Bottom of the river channel
+    }
+
+    getRiverDistance(x, z) {
+        return Math.abs(x - this.riverCurve(z));
+    }
+
+    // Four octaves of noise, roughly in [0, 1)
+    fbm(x, z) {
+        let value = 0;
+        let amplitude = 0.5;
+        let frequency = 1;
+        for (let i = 0; i < 4; i++) {
+            value += this.noise(x * frequency + i * 17.3, z * frequency - i * 9.1) * amplitude;
+            frequency *= 2.03;
+            amplitude *= 0.5;
+        }
+        return value / 0.9375;
+    }
+
+    getHeightAt(x, z) {
+        const distance = this.getRiverDistance(x, z);
+        const halfWidth = this.riverHalfWidth;
+
+        // Hills flatten out towards the river so the banks stay low and open
+        const hillFactor = smoothstep(distance, halfWidth + 1, halfWidth + 10);
+        const hills = Math.pow(this.fbm(x * 0.045, z * 0.045), 1.5) * this.hillHeight * hillFactor;
+        const bumps = (this.noise(x * 0.35 + 101.7, z * 0.35 - 33.1) - 0.5) * 0.08;
+        const land = this.baseHeight + hills + bumps;
+
+        // The channel rises from its bed to the land just inside the water's edge
+        const valley = smoothstep(distance, halfWidth * 0.4, halfWidth);
+        return this.bedHeight + (land - this.bedHeight) * valley;
+    }
+
+    // Surface normal from central differences
+    getNormalAt(x, z, target, step = 0.1) {
+        const dx = this.getHeightAt(x + step, z) - this.getHeightAt(x - step, z);
+        const dz = this.getHeightAt(x, z + step) - this.getHeightAt(x, z - step);
+        return target.set(-dx, 2 * step, -dz).normalize();
+    }
+
+    // Low-frequency noise in [0, 1) for colour variation across the land
+    getVariationAt(x, z) {
+        return this.noise(x * 0.12 - 57.3, z * 0.12 + 12.9);
+    }
+}
@@ -0,0 +1,96 @@
+// Time-of-day clock and the sky/lighting palette for each hour of the day
+import * as THREE from 'three';
+
+export const TIME_MODES = ['real', 'fixed', 'accelerated'];
+
+// Hours since local midnight, e.g. 13.5 for half past one in the afternoon
+export function getLocalHours(date = new Date()) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+export function formatHours(hours) {
+    const wrapped = ((hours % 24) + 24) % 24;
+    const h = Math.floor(wrapped);
+    const m = Math.floor((wrapped - h) * 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// Direction towards the sun: rises in the east (+x) at 6:00, peaks at noon, sets in the west at 18:00.
+// The arc is tilted towards -z so the sun never sits straight overhead and shadows stay readable.
+export function getSunDirection(hours, target = new THREE.Vector3()) {
+    const angle = ((hours - 6) / 12) * Math.PI;
+    return target.set(Math.cos(angle), Math.sin(angle) * 0.85, -0.45).normalize();
+}
+
+// Palette keyframes through the day; the sky is interpolated between neighbouring keys
+const SKY_KEYS = [
+    { hours: 0, skyTop: 0x020611, skyHorizon: 0x0b1630, sun: 0x000000, sunIntensity: 0, ambient: 0x1a2340, ambientIntensity: 0.18, stars: 1, moonIntensity: 0.35, reflectivity: 1 },
+    { hours: 4.5, skyTop: 0x040a1c, skyHorizon: 0x142043, sun: 0x000000, sunIntensity: 0, ambient: 0x1a2340, ambientIntensity: 0.2, stars: 1, moonIntensity: 0.3, reflectivity: 1 },
+    { hours: 6, skyTop: 0x35508a, skyHorizon: 0xf2a271, sun: 0xff9a5c, sunIntensity: 0.5, ambient: 0x8a7a8f, ambientIntensity: 0.3, stars: 0.2, moonIntensity: 0.05, reflectivity: 0.8 },
+    { hours: 8, skyTop: 0x4f8fd6, skyHorizon: 0xbfe0f5, sun: 0xffe2b8, sunIntensity: 0.9, ambient: 0xdfe8f0, ambientIntensity: 0.45, stars: 0, moonIntensity: 0, reflectivity: 0.6 },
+    { hours: 12, skyTop: 0x4a90e2, skyHorizon: 0x87ceeb, sun: 0xffffff, sunIntensity: 1, ambient: 0xffffff, ambientIntensity: 0.5, stars: 0, moonIntensity: 0, reflectivity: 0.6 },
+    { hours: 16.5, skyTop: 0x4f8fd6, skyHorizon: 0xbfe0f5, sun: 0xfff0d6, sunIntensity: 0.9, ambient: 0xf0ece4, ambientIntensity: 0.45, stars: 0, moonIntensity: 0, reflectivity: 0.6 },
+    { hours: 18, skyTop: 0x3b4f8f, skyHorizon: 0xf08a5d, sun: 0xff7a3d, sunIntensity: 0.55, ambient: 0x9a7f8a, ambientIntensity: 0.32, stars: 0.15, moonIntensity: 0.05, reflectivity: 0.8 },
+    { hours: 19.5, skyTop: 0x0d1533, skyHorizon: 0x2a2a55, sun: 0x000000, sunIntensity: 0, ambient: 0x2a2f55, ambientIntensity: 0.22, stars: 0.8, moonIntensity: 0.25, reflectivity: 0.95 },
+    { hours: 24, skyTop: 0x020611, skyHorizon: 0x0b1630, sun: 0x000000, sunIntensity: 0, ambient: 0x1a2340, ambientIntensity: 0.18, stars: 1, moonIntensity: 0.35, reflectivity: 1 }
+];
+
+const COLOR_FIELDS = ['skyTop', 'skyHorizon', 'sun', 'ambient'];
+const NUMBER_FIELDS = ['sunIntensity', 'ambientIntensity', 'stars', 'moonIntensity', 'reflectivity'];
+const scratchColor = new THREE.Color();
+
+export function createSkyState() {
+    const state = { hours: 12 };
+    COLOR_FIELDS.forEach((field) => { state[field] = new THREE.Color(); });
+    NUMBER_FIELDS.forEach((field) => { state[field] = 0; });
+    return state;
+}
+
+// Fill state (from createSkyState) with the palette for the given hour
+export function sampleSkyState(hours, state = createSkyState()) {
+    const wrapped = ((hours % 24) + 24) % 24;
+    let next = SKY_KEYS.findIndex(key => key.hours > wrapped);
+    if (next <= 0) next = SKY_KEYS.length - 1;
+    const from = SKY_KEYS[next - 1];
+    const to = SKY_KEYS[next];
+    const t = (wrapped - from.hours) / (to.hours - from.hours);
+
+    state.hours = wrapped;
+    COLOR_FIELDS.forEach((field) => {
+        state[field].setHex(from[field]).lerp(scratchColor.setHex(to[field]), t);
+    });
+    NUMBER_FIELDS.forEach((field) => {
+        state[field] = THREE.MathUtils.lerp(from[field], to[field], t);
+    });
+    return state;
+}
+
+// Keeps the current hour for one of TIME_MODES
+export class TimeOfDayClock {
+    constructor({ mode = 'real', hours = 12, cycleMinutes = 4 } = {}) {
+        this.mode = TIME_MODES.includes(mode) ? mode : 'real';
+        this.hours = this.mode === 'real' ? getLocalHours() : hours;
+        this.cycleMinutes = cycleMinutes; // Length of a full day in accelerated mode
+    }
+
+    setMode(mode) {
+        if (!TIME_MODES.includes(mode)) return;
+        this.mode = mode;
+        if (mode === 'real') {
+            this.hours = getLocalHours();
+        }
+    }
+
+    setHours(hours) {
+        this.hours = ((hours % 24) + 24) % 24;
+    }
+
+    update(deltaSeconds) {
+        if (this.mode === 'real') {
+            this.hours = getLocalHours();
+        } else if (this.mode === 'accelerated') {
+            this.setHours(this.hours + (deltaSeconds / (this.cycleMinutes * 60)) * 24);
+        }
+        return this.hours;
+    }
+}
@@ -0,0 +1,13 @@
+// Hash routes for opened topics, e.g. #/topic/webgl
+
+const TOPIC_ROUTE_PATTERN = /^#\/topic\/([a-z0-9-]+)\/?$/;
+
+export function getTopicRoute(topicId) {
+    return `#/topic/${topicId}`;
+}
+
+// Return the topic id from a location hash, or null if it isn't a topic route
+export function parseTopicRoute(hash) {
+    const match = (hash || '').match(TOPIC_ROUTE_PATTERN);
+    return match ? match[1] : null;
+}
@@ -0,0 +1,145 @@
+// Topic registry - loads the educational topics shown on terrain flags from a JSON manifest
+//
+// Manifest format (public/assets/topics/topics.json):
+// {
+//     "topics": [
+//         {
+//             "id": "webgl",               // unique, lowercase letters, digits and dashes
+//             "title": "WebGL",            // shown on the flag and as the modal title
+//             "markdown": "webgl.md",      // path relative to the manifest
+//             "tags": ["3d", "graphics"],  // optional
+//             "color": "#990000",          // optional flag colour, random when omitted
+//             "icon": "🖥️",                // optional, drawn before the title on the flag
+//             "position": { "x": 6, "z": 4 } // optional fixed world placement
+//         }
+//     ]
+// }
+
+export const DEFAULT_TOPIC_MANIFEST = './assets/topics/topics.json';
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export class TopicManifestError extends Error {
+    constructor(manifestUrl, problems) {
+        super(`Invalid topic manifest ${manifestUrl}:\n - ${problems.join('\n - ')}`);
+        this.name = 'TopicManifestError';
+        this.manifestUrl = manifestUrl;
+        this.problems = problems;
+    }
+}
+
+// Check the manifest structure and return normalised topics plus a list of problems
+export function validateTopicManifest(manifest, manifestUrl = DEFAULT_TOPIC_MANIFEST) {
+    const problems = [];
+    const topics = [];
+    
+    if (!manifest || !Array.isArray(manifest.topics)) {
+        problems.push('expected an object with a "topics" array');
+        return { topics, problems };
+    }
+    
+    const seenIds = new Set();
+    const baseUrl = new URL(manifestUrl, window.location.href);
+    
+    manifest.topics.forEach((entry, index) => {
+        const label = entry && typeof entry.id === 'string' ? `topic "${entry.id}"` : `topic #${index}`;
+        const entryProblems = [];
+        
+        if (!entry || typeof entry !== 'object') {
+            problems.push(`${label}: expected an object`);
+            return;
+        }
+        
+        if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+            entryProblems.push('"id" must be lowercase letters, digits and dashes');
+        } else if (seenIds.has(entry.id)) {
+            entryProblems.push('"id" is used by another topic');
+        }
+        
+        if (typeof entry.title !== 'string' || entry.title.trim() === '') {
+            entryProblems.push('"title" must be a non-empty string');
+        }
+        
+        if (typeof entry.markdown !== 'string' || !entry.markdown.endsWith('.md')) {
+            entryProblems.push('"markdown" must be a path to a .md file');
+        }
+        
+        if (entry.tags !== undefined &&
+            (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string'))) {
+            entryProblems.push('"tags" must be an array of strings');
+        }
+        
+        if (entry.color !== undefined && (typeof entry.color !== 'string' || !COLOR_PATTERN.test(entry.color))) {
+            entryProblems.push('"color" must be a hex colour like "#336699"');
+        }
+        
+        if (entry.icon !== undefined && typeof entry.icon !== 'string') {
+            entryProblems.push('"icon" must be a string');
+        }
+        
+        if (entry.position !== undefined &&
+            (!entry.position || !Number.isFinite(entry.position.x) || !Number.isFinite(entry.position.z))) {
+            entryProblems.push('"position" must be an object with numeric "x" and "z"');
+        }
+        
+        if (entryProblems.length > 0) {
+            entryProblems.forEach(problem => problems.push(`${label}: ${problem}`));
+            return;
+        }
+        
+        seenIds.add(entry.id);
+        topics.push({
+            id: entry.id,
+            title: entry.title,
+            markdown: entry.markdown,
+            markdownUrl: new URL(entry.markdown, baseUrl).href,
+            tags: entry.tags || [],
+            color: entry.color || null,
+            icon: entry.icon || '',
+            position: entry.position ? { x: entry.position.x, z: entry.position.z } : null
+        });
+    });
+    
+    return { topics, problems };
+}
+
+// Fetch the manifest, validate it and make sure every markdown file exists. Topics with
+// problems are left out; the rest are returned along with a TopicManifestError listing
+// the problems (or null). Only a missing or unreadable manifest throws
+export async function loadTopicManifest(manifestUrl = DEFAULT_TOPIC_MANIFEST) {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+        throw new TopicManifestError(manifestUrl, [`manifest not found (HTTP ${response.status})`]);
+    }
+    
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new TopicManifestError(manifestUrl, [`manifest is not valid JSON (${error.message})`]);
+    }
+    
+    const { topics, problems } = validateTopicManifest(manifest, manifestUrl);
+    
+    // Check the markdown files in parallel so authors see every missing file at once
+    const fileChecks = await Promise.all(topics.map(async (topic) => {
+        try {
+            const fileResponse = await fetch(topic.markdownUrl, { method: 'HEAD' });
+            // Dev servers with an SPA fallback answer unknown paths with index.html
+            const contentType = fileResponse.headers.get('content-type') || '';
+            if (!fileResponse.ok || contentType.includes('text/html')) {
+                return `topic "${topic.id}": markdown file "${topic.markdown}" not found (HTTP ${fileResponse.status})`;
+            }
+            return null;
+        } catch (error) {
+            return `topic "${topic.id}": markdown file "${topic.markdown}" could not be loaded (${error.message})`;
+        }
+    }));
+    fileChecks.filter(Boolean).forEach(problem => problems.push(problem));
+    
+    return {
+        topics: topics.filter((topic, index) => !fileChecks[index]),
+        error: problems.length > 0 ? new TopicManifestError(manifestUrl, problems) : null
+    };
+}
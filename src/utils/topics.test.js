@@ -0,0 +1,58 @@
+// @vitest-environment jsdom
+// Manifest problems drop the affected topics, never the whole manifest
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { TopicManifestError, loadTopicManifest } from './topics';
+
+const MANIFEST_URL = 'http://localhost/assets/topics/topics.json';
+
+// Serve the manifest plus the markdown files that exist
+function stubFetch(manifest, existingFiles) {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+        if (url === MANIFEST_URL) {
+            return new Response(JSON.stringify(manifest), { headers: { 'content-type': 'application/json' } });
+        }
+        const found = existingFiles.some(file => url.endsWith(`/${file}`));
+        return new Response(found ? '' : '<!doctype html>', {
+            status: found ? 200 : 404,
+            headers: { 'content-type': found ? 'text/markdown' : 'text/html' }
+        });
+    }));
+}
+
+describe('loadTopicManifest', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('returns every topic when the manifest is valid', async () => {
+        stubFetch({ topics: [{ id: 'webgl', title: 'WebGL', markdown: 'webgl.md' }] }, ['webgl.md']);
+
+        const { topics, error } = await loadTopicManifest(MANIFEST_URL);
+        expect(topics.map(topic => topic.id)).toEqual(['webgl']);
+        expect(error).toBeNull();
+    });
+
+    it('keeps the valid topics and reports the broken ones', async () => {
+        stubFetch({
+            topics: [
+                { id: 'webgl', title: 'WebGL', markdown: 'webgl.md' },
+                { id: 'Bad Id', title: 'Bad', markdown: 'bad.md' },
+                { id: 'missing', title: 'Missing', markdown: 'missing.md' },
+                { id: 'threejs', title: 'Three.js', markdown: 'threejs.md', position: { x: 6, z: 4 } }
+            ]
+        }, ['webgl.md', 'threejs.md']);
+
+        const { topics, error } = await loadTopicManifest(MANIFEST_URL);
+        expect(topics.map(topic => topic.id)).toEqual(['webgl', 'threejs']);
+        expect(error).toBeInstanceOf(TopicManifestError);
+        expect(error.problems).toHaveLength(2);
+        expect(error.problems[0]).toMatch(/^topic "Bad Id": "id"/);
+        expect(error.problems[1]).toMatch(/^topic "missing": markdown file "missing.md" not found/);
+    });
+
+    it('throws when the manifest itself cannot be read', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('not json')));
+
+        await expect(loadTopicManifest(MANIFEST_URL)).rejects.toThrow(TopicManifestError);
+    });
+});
@@ -0,0 +1,228 @@
+// Animated river water: scrolling normals that follow the river's bends, depth colour,
+// shoreline foam, cheap sky/flamingo reflections and an ice look for frozen winters.
+// Low quality tiers keep the plain MeshStandardMaterial in Scene3D instead.
+import * as THREE from 'three';
+
+// Tileable height field made from whole-period waves, turned into a tangent-space normal map
+export function createWaterNormalTexture(size = 128) {
+    const waves = [
+        { fx: 1, fy: 2, amp: 1.0, phase: 0.0 },
+        { fx: 3, fy: -1, amp: 0.6, phase: 1.3 },
+        { fx: -2, fy: 5, amp: 0.35, phase: 2.1 },
+        { fx: 7, fy: 3, amp: 0.2, phase: 0.7 },
+        { fx: -5, fy: -8, amp: 0.12, phase: 4.2 }
+    ];
+    const heightAt = (x, y) => waves.reduce((sum, wave) => (
+        sum + wave.amp * Math.sin(((wave.fx * x + wave.fy * y) / size) * Math.PI * 2 + wave.phase)
+    ), 0);
+
+    const data = new Uint8Array(size * size * 4);
+    const strength = 2.5;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = (heightAt(x + 1, y) - heightAt(x - 1, y)) * strength;
+            const dy = (heightAt(x, y + 1) - heightAt(x, y - 1)) * strength;
+            const normal = new THREE.Vector3(-dx, -dy, 1).normalize();
+
+            const index = (y * size + x) * 4;
+            data[index] = (normal.x * 0.5 + 0.5) * 255;
+            data[index + 1] = (normal.y * 0.5 + 0.5) * 255;
+            data[index + 2] = (normal.z * 0.5 + 0.5) * 255;
+            data[index + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// River curve and its first two derivatives for shaders. Must match Scene3D.getRiverCurveOffset
+export const RIVER_CURVE_GLSL = /* glsl */ `
+float riverCurveOffset(float z) {
+    return sin(z * 0.02) * 4.0 + sin(z * 0.05) * 2.0 + sin(z * 0.1) * 0.8;
+}
+
+float riverCurveSlope(float z) {
+    return cos(z * 0.02) * 0.08 + cos(z * 0.05) * 0.1 + cos(z * 0.1) * 0.08;
+}
+
+float riverCurveBend(float z) {
+    return -(sin(z * 0.02) * 0.0016 + sin(z * 0.05) * 0.005 + sin(z * 0.1) * 0.008);
+}
+`;
+
+const WATER_VERTEX = /* glsl */ `
+#include <fog_pars_vertex>
+
+varying vec3 vWorldPosition;
+
+void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+}
+`;
+
+const WATER_FRAGMENT = /* glsl */ `
+#include <common>
+#include <fog_pars_fragment>
+
+uniform float uTime;
+uniform sampler2D uNormalMap;
+uniform float uRiverHalfWidth;
+uniform float uFlowSpeed;
+uniform vec3 uShallowColor;
+uniform vec3 uDeepColor;
+uniform vec3 uFoamColor;
+uniform vec3 uSkyColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+uniform float uReflectivity;
+uniform vec3 uReflectorPosition;
+uniform vec3 uReflectorColor;
+uniform float uReflectorStrength;
+uniform float uOpacity;
+uniform float uRain;
+uniform float uFrozen;
+uniform vec3 uIceColor;
+
+varying vec3 vWorldPosition;
+
+${RIVER_CURVE_GLSL}
+
+float waterHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+// Expanding rings from raindrops: one drop per grid cell, each on its own timer
+float rainRipples(vec2 p, float time) {
+    vec2 cell = floor(p);
+    vec2 local = fract(p) - 0.5;
+    vec2 center = (vec2(waterHash(cell + 1.3), waterHash(cell + 7.1)) - 0.5) * 0.5;
+    float age = fract(time * 0.9 + waterHash(cell));
+    float radius = length(local - center);
+    return smoothstep(0.05, 0.0, abs(radius - age * 0.45)) * (1.0 - age);
+}
+
+void main() {
+    // River space: across the channel and along its length, so textures bend with the river
+    float across = vWorldPosition.x - riverCurveOffset(vWorldPosition.z);
+    float along = vWorldPosition.z;
+    float edge = clamp(abs(across) / uRiverHalfWidth, 0.0, 1.0);
+
+    // Water flows towards -z; two layers at different scales and speeds break up the tiling.
+    // Ice stops the flow, so the ripples freeze in place
+    float flowTime = uTime * (1.0 - uFrozen);
+    vec2 flowUv = vec2(across, along);
+    vec2 uvA = flowUv * 0.25 + vec2(0.0, flowTime * uFlowSpeed * 0.25);
+    vec2 uvB = flowUv * vec2(0.55, 0.4) + vec2(flowTime * 0.02, flowTime * uFlowSpeed * 0.4);
+    vec3 normalA = texture2D(uNormalMap, uvA).xyz * 2.0 - 1.0;
+    vec3 normalB = texture2D(uNormalMap, uvB).xyz * 2.0 - 1.0;
+    vec3 tangentNormal = normalize(vec3(normalA.xy + normalB.xy, normalA.z * normalB.z));
+
+    // Rotate the ripples into world space, aligned with the flow direction of the bend
+    vec2 flowDir = normalize(vec2(riverCurveSlope(along), 1.0));
+    vec2 sideDir = vec2(flowDir.y, -flowDir.x);
+    vec2 rippleXZ = sideDir * tangentNormal.x + flowDir * tangentNormal.y;
+    vec3 normal = normalize(vec3(rippleXZ.x * 0.35, tangentNormal.z, rippleXZ.y * 0.35));
+    normal = normalize(mix(normal, vec3(0.0, 1.0, 0.0), uFrozen * 0.8)); // Ice is almost flat
+
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+
+    // Depth colour: the channel is deepest in the middle and shallow at the banks
+    float depth = 1.0 - edge * edge;
+    vec3 color = mix(uShallowColor, uDeepColor, smoothstep(0.0, 1.0, depth));
+
+    // Ice is whiter towards the banks, with darker streaks where it froze over the current
+    float iceStreaks = normalA.x * 0.5 + 0.5;
+    vec3 ice = uIceColor * (0.85 + 0.15 * edge) * (0.9 + 0.1 * iceStreaks);
+    color = mix(color, ice, uFrozen * 0.85);
+
+    // Sky reflection with a Schlick fresnel term
+    vec3 reflected = reflect(-viewDir, normal);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, viewDir), 0.0), 5.0);
+    vec3 sky = mix(uHorizonColor, uSkyColor, clamp(reflected.y, 0.0, 1.0));
+    color = mix(color, sky, clamp(fresnel * uReflectivity + 0.15 * uReflectivity, 0.0, 1.0));
+
+    // Flamingo reflection: a soft highlight where the mirrored ray points at it
+    vec3 toReflector = uReflectorPosition - vWorldPosition;
+    float reflectorDistance = length(toReflector);
+    float alignment = max(dot(reflected, toReflector / max(reflectorDistance, 0.0001)), 0.0);
+    float reflectorSpot = pow(alignment, 400.0) * uReflectorStrength / (1.0 + reflectorDistance * 0.05);
+    color += uReflectorColor * reflectorSpot * (0.5 + fresnel);
+
+    // Sun glint
+    vec3 halfDir = normalize(normalize(uSunDirection) + viewDir);
+    float specular = pow(max(dot(normal, halfDir), 0.0), 120.0);
+    color += uSunColor * specular * 0.8;
+
+    // Rain ripple rings; two offset grids so neighbouring rings overlap
+    float rain = uRain * (1.0 - uFrozen);
+    if (rain > 0.0) {
+        vec2 ripplePosition = vWorldPosition.xz * 2.5;
+        float ripples = rainRipples(ripplePosition, uTime) + rainRipples(ripplePosition * 1.3 + 5.7, uTime * 1.1);
+        color += uFoamColor * ripples * 0.3 * rain;
+    }
+
+    // Shoreline foam, broken up by the ripple normals so it laps at the banks
+    float foamNoise = normalA.x * 0.5 + normalB.y * 0.5;
+    float foam = smoothstep(0.78, 0.98, edge + foamNoise * 0.08 + sin(along * 1.7 + uTime * 2.0) * 0.02);
+    foam *= 1.0 - uFrozen;
+    color = mix(color, uFoamColor, foam * 0.85);
+
+    // Ice is opaque
+    gl_FragColor = vec4(color, mix(mix(uOpacity, 1.0, foam), 1.0, uFrozen));
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+}
+`;
+
+export function createWaterMaterial({ riverWidth, normalMap }) {
+    const uniforms = THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+            uTime: { value: 0 },
+            uNormalMap: { value: null },
+            uRiverHalfWidth: { value: riverWidth / 2 },
+            uFlowSpeed: { value: 0.6 },
+            uShallowColor: { value: new THREE.Color(0x2fa5a0) },
+            uDeepColor: { value: new THREE.Color(0x0a3f66) },
+            uFoamColor: { value: new THREE.Color(0xf4fbff) },
+            uSkyColor: { value: new THREE.Color(0x5a9bd8) },
+            uHorizonColor: { value: new THREE.Color(0xc9e4f5) },
+            uSunDirection: { value: new THREE.Vector3(5, 10, 5).normalize() },
+            uSunColor: { value: new THREE.Color(0xffffff) },
+            uReflectivity: { value: 0.6 },
+            uReflectorPosition: { value: new THREE.Vector3(0, -1000, 0) },
+            uReflectorColor: { value: new THREE.Color(0xff7eb3) },
+            uReflectorStrength: { value: 0 },
+            uOpacity: { value: 0.85 },
+            uRain: { value: 0 },
+            uFrozen: { value: 0 }, // 0 open water, 1 frozen over
+            uIceColor: { value: new THREE.Color(0xdff1f8) }
+        }
+    ]);
+    // UniformsUtils.merge clones textures, so share the one normal map instead
+    uniforms.uNormalMap.value = normalMap;
+
+    return new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: WATER_VERTEX,
+        fragmentShader: WATER_FRAGMENT,
+        transparent: true,
+        fog: true
+    });
+}
@@ -0,0 +1,107 @@
+// Weather states and smooth blending between them
+import * as THREE from 'three';
+
+export const WEATHER_PARAM = 'weather';
+
+// Every state sets every parameter so any two can be blended
+export const WEATHER_STATES = {
+    clear: {
+        cloudCoverage: 0,
+        skyDarken: 0, // Mix of the sky towards overcast grey
+        sunDim: 0, // Fraction of direct sunlight lost
+        fogDensityScale: 1,
+        rain: 0, // Rain particles and river ripples, 0..1
+        windScale: 1,
+        gustScale: 1,
+        flightSpeed: 1, // Flamingo timeline speed
+        flightHeight: 1 // Flamingo cruising height
+    },
+    overcast: {
+        cloudCoverage: 0.75,
+        skyDarken: 0.45,
+        sunDim: 0.55,
+        fogDensityScale: 1.4,
+        rain: 0,
+        windScale: 1.5,
+        gustScale: 1.8,
+        flightSpeed: 0.9,
+        flightHeight: 0.9
+    },
+    rain: {
+        cloudCoverage: 0.95,
+        skyDarken: 0.7,
+        sunDim: 0.8,
+        fogDensityScale: 2,
+        rain: 1,
+        windScale: 2.2,
+        gustScale: 2.8,
+        flightSpeed: 0.65,
+        flightHeight: 0.7
+    },
+    fog: {
+        cloudCoverage: 0.4,
+        skyDarken: 0.55,
+        sunDim: 0.6,
+        fogDensityScale: 5,
+        rain: 0,
+        windScale: 0.4,
+        gustScale: 0.3,
+        flightSpeed: 0.75,
+        flightHeight: 0.8
+    }
+};
+
+export const WEATHER_NAMES = Object.keys(WEATHER_STATES);
+
+// Sky colour the weather darkens towards
+export const OVERCAST_SKY_COLOR = new THREE.Color(0x7d8791);
+
+// Explicit option, then ?weather= from the URL, then clear skies
+export function resolveWeather(weather) {
+    if (WEATHER_STATES[weather]) {
+        return weather;
+    }
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get(WEATHER_PARAM);
+        if (WEATHER_STATES[fromUrl]) {
+            return fromUrl;
+        }
+    } catch (error) {
+        // No usable location (e.g. sandboxed iframe)
+    }
+    return 'clear';
+}
+
+// Blends the current weather parameters towards the target state over a few seconds
+export class WeatherBlender {
+    constructor(state = 'clear', transitionSeconds = 4) {
+        this.state = WEATHER_STATES[state] ? state : 'clear';
+        this.transitionSeconds = transitionSeconds;
+        this.params = { ...WEATHER_STATES[this.state] };
+        this.from = { ...this.params };
+        this.progress = 1;
+    }
+
+    setState(state, transitionSeconds = this.transitionSeconds) {
+        if (!WEATHER_STATES[state]) return;
+        this.state = state;
+        this.from = { ...this.params }; // Start from wherever a previous blend got to
+        this.transitionSeconds = transitionSeconds;
+        this.progress = transitionSeconds > 0 ? 0 : 1;
+        if (this.progress === 1) {
+            this.params = { ...WEATHER_STATES[state] };
+        }
+    }
+
+    update(deltaSeconds) {
+        if (this.progress >= 1) return this.params;
+
+        this.progress = Math.min(1, this.progress + deltaSeconds / this.transitionSeconds);
+        const t = THREE.MathUtils.smoothstep(this.progress, 0, 1);
+        const target = WEATHER_STATES[this.state];
+        Object.keys(target).forEach((key) => {
+            this.params[key] = THREE.MathUtils.lerp(this.from[key], target[key], t);
+        });
+        return this.params;
+    }
+}
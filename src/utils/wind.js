@@ -0,0 +1,112 @@
+// Vertex-shader wind for instanced grass. Every material patched with applyWindToMaterial
+// shares one set of uniforms, so changing the wind or advancing time is free on the CPU.
+import * as THREE from 'three';
+
+export const DEFAULT_WIND = {
+    direction: { x: 1, z: 0.35 }, // Normalized when applied
+    strength: 0.25, // Steady lean, radians-ish at the blade tip
+    gustStrength: 0.2, // Extra sway added by gusts
+    speed: 1.2 // How fast waves and gusts travel across the field
+};
+
+export function createWindUniforms(wind = DEFAULT_WIND) {
+    const uniforms = {
+        uWindTime: { value: 0 },
+        uWindDirection: { value: new THREE.Vector2() },
+        uWindStrength: { value: 0 },
+        uWindGustStrength: { value: 0 },
+        uWindSpeed: { value: 0 }
+    };
+    setWindUniforms(uniforms, wind);
+    return uniforms;
+}
+
+// Copy wind settings into the uniforms; missing fields keep their current value
+export function setWindUniforms(uniforms, { direction, strength, gustStrength, speed } = {}) {
+    if (direction) {
+        uniforms.uWindDirection.value.set(direction.x, direction.z).normalize();
+    }
+    if (strength !== undefined) uniforms.uWindStrength.value = strength;
+    if (gustStrength !== undefined) uniforms.uWindGustStrength.value = gustStrength;
+    if (speed !== undefined) uniforms.uWindSpeed.value = speed;
+}
+
+const WIND_PARS = /* glsl */ `
+uniform float uWindTime;
+uniform vec2 uWindDirection;
+uniform float uWindStrength;
+uniform float uWindGustStrength;
+uniform float uWindSpeed;
+
+float windHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+// Smooth value noise for gusts rolling across the field
+float windNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(windHash(i), windHash(i + vec2(1.0, 0.0)), u.x),
+        mix(windHash(i + vec2(0.0, 1.0)), windHash(i + vec2(1.0, 1.0)), u.x),
+        u.y
+    );
+}
+
+vec3 applyWind(vec3 worldPosition, vec3 worldRoot, float bend, float bladeLength) {
+    // Ripples travel along the wind direction; gusts drift with it at a larger scale
+    float phase = dot(worldRoot.xz, uWindDirection) * 1.5 - uWindTime * uWindSpeed * 2.0;
+    float wave = sin(phase) * 0.5 + 0.5;
+    float gust = windNoise(worldRoot.xz * 0.08 - uWindDirection * uWindTime * uWindSpeed * 0.3);
+
+    // Per-blade flutter so neighbours don't move in lockstep
+    float flutter = sin(uWindTime * 4.0 + windHash(worldRoot.xz) * 6.2831) * 0.15;
+
+    float sway = (uWindStrength * (0.5 + 0.5 * wave) + uWindGustStrength * gust + flutter * uWindStrength) * bend;
+    vec2 offset = uWindDirection * sway * bladeLength;
+
+    // Bend rather than stretch: tips drop a little as they lean
+    worldPosition.xz += offset;
+    worldPosition.y -= 0.5 * dot(offset, offset) / max(bladeLength, 0.0001);
+    return worldPosition;
+}
+`;
+
+// Runs after begin_vertex. The sway is worked out in world space, then carried back into object
+// space so project_vertex and worldpos_vertex (with their batching and instancing branches) place
+// the swayed vertex, shadows and fog included. Blades are rotated and scaled but not sheared, so
+// the transposed basis over the squared axis lengths inverts it - WebGL 1 has no inverse()
+const WIND_BEGIN_VERTEX = /* glsl */ `
+mat4 windToWorld = modelMatrix;
+#ifdef USE_INSTANCING
+    windToWorld = windToWorld * instanceMatrix;
+#endif
+#ifdef USE_BATCHING
+    windToWorld = windToWorld * batchingMatrix;
+#endif
+vec3 windRoot = (windToWorld * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+vec3 windWorld = (windToWorld * vec4(transformed, 1.0)).xyz;
+
+// Roots stay planted; bending grows towards the tip
+float windBend = clamp(position.y / WIND_BLADE_HEIGHT, 0.0, 1.0);
+windBend *= windBend;
+vec3 windOffset = applyWind(windWorld, windRoot, windBend, max(windWorld.y - windRoot.y, 0.0)) - windWorld;
+
+mat3 windBasis = mat3(windToWorld);
+vec3 windAxisLengths = vec3(dot(windBasis[0], windBasis[0]), dot(windBasis[1], windBasis[1]), dot(windBasis[2], windBasis[2]));
+transformed += (windOffset * windBasis) / max(windAxisLengths, vec3(1e-8)); // Hidden blades are scaled to zero
+`;
+
+// Patch a grass material (or its shadow depth material) to sway with the shared wind uniforms
+export function applyWindToMaterial(material, uniforms, bladeHeight) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n#define WIND_BLADE_HEIGHT ${bladeHeight.toFixed(4)}\n${WIND_PARS}`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>\n${WIND_BEGIN_VERTEX}`);
+    };
+    material.customProgramCacheKey = () => 'grass-wind';
+    material.needsUpdate = true;
+    return material;
+}
@@ -0,0 +1,37 @@
+// Wind patches the grass shaders without replacing three.js' own vertex chunks
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { applyWindToMaterial, createWindUniforms } from './wind';
+
+function compile(material, shaderName) {
+    const shader = {
+        uniforms: THREE.UniformsUtils.clone(THREE.ShaderLib[shaderName].uniforms),
+        vertexShader: THREE.ShaderLib[shaderName].vertexShader
+    };
+    material.onBeforeCompile(shader);
+    return shader;
+}
+
+describe('applyWindToMaterial', () => {
+    const uniforms = createWindUniforms();
+
+    it.each([
+        ['the grass material', () => new THREE.MeshStandardMaterial(), 'standard'],
+        ['its shadow depth material', () => new THREE.MeshDepthMaterial(), 'depth']
+    ])('sways %s between begin_vertex and the projection', (_, createMaterial, shaderName) => {
+        const shader = compile(applyWindToMaterial(createMaterial(), uniforms, 0.4), shaderName);
+        const source = shader.vertexShader;
+
+        // project_vertex carries the batching and instancing branches, worldpos_vertex feeds shadows and fog
+        expect(source).toContain('#include <project_vertex>');
+        if (shaderName === 'standard') {
+            expect(source).toContain('#include <worldpos_vertex>');
+        }
+
+        const sway = source.indexOf('transformed += ');
+        expect(sway).toBeGreaterThan(source.indexOf('#include <begin_vertex>'));
+        expect(sway).toBeLessThan(source.indexOf('#include <project_vertex>'));
+        expect(source).toContain('#define WIND_BLADE_HEIGHT 0.4000');
+        expect(shader.uniforms.uWindTime).toBe(uniforms.uWindTime);
+    });
+});